@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+
+/**
+ * API client generator
+ * Features: Service functions on the `api` helpers, zod response/body schemas,
+ * query key factories and React Query hooks from a Xano OpenAPI export
+ *
+ * Export an API group from Xano (API group → ⋯ → Swagger/OpenAPI JSON), save it
+ * as openapi/<group>.json and run:
+ *
+ *   npm run api:generate                         # every openapi/*.json
+ *   npm run api:generate -- openapi/projects.json --name projects --out src/api
+ *   npm run api:generate -- --check              # fail if generated files are stale
+ *
+ * Services call the API group (see src/lib/apiEnvironment.js) named by the
+ * spec's top-level "x-api-group" or `--api-group <name>`; without either they
+ * use the default group.
+ *
+ * Output for each group (src/api/<group>/): schemas.js, service.js,
+ * queryKeys.js, hooks.js and index.js. Output only depends on the spec -
+ * operations, schemas and properties are emitted in a fixed order and nothing
+ * time-based is written - so regenerating an unchanged spec is a no-op and a
+ * changed spec produces a reviewable diff. Generated files are overwritten;
+ * put custom logic in regular services and hooks that import them.
+ */
+
+const SPEC_DIR = "openapi";
+const DEFAULT_OUT = "src/api";
+const METHOD_ORDER = ["get", "post", "put", "patch", "delete"];
+const BODY_METHODS = ["post", "put", "patch"];
+
+const HEADER = (source) =>
+  `// Generated by scripts/generate-api.js from ${source} - do not edit by hand.\n` +
+  "// Run `npm run api:generate` after updating the spec.\n";
+
+function fail(message) {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+}
+
+/* ---------------------------------- Names --------------------------------- */
+
+function toWords(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function camelCase(value) {
+  const words = toWords(value).map((word) => word.toLowerCase());
+  const name = words
+    .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join("");
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+function pascalCase(value) {
+  const name = camelCase(value);
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+function isIdentifier(value) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(value);
+}
+
+function propertyKey(value) {
+  return isIdentifier(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Operation name - the spec's operationId, or method + path
+ * (`GET /project/{project_id}` → `getProjectByProjectId`)
+ */
+function getOperationName(method, route, operation) {
+  if (operation.operationId) return camelCase(operation.operationId);
+
+  const parts = route
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      const param = segment.match(/^\{(.+)\}$/);
+      return param ? `By ${param[1]}` : segment;
+    });
+  return camelCase(`${method} ${parts.join(" ")}`);
+}
+
+/* --------------------------------- Schemas -------------------------------- */
+
+function resolveRef(spec, ref) {
+  if (!ref.startsWith("#/")) fail(`Only local $refs are supported: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], spec);
+}
+
+function deref(spec, node) {
+  return node?.$ref ? deref(spec, resolveRef(spec, node.$ref)) : node;
+}
+
+function componentName(ref) {
+  return ref.startsWith("#/components/schemas/") ? ref.split("/").pop() : null;
+}
+
+function schemaConstName(name) {
+  return `${camelCase(name)}Schema`;
+}
+
+/**
+ * Converts JSON Schema (OpenAPI 3.0/3.1) into zod source code
+ * Component schemas become named constants, emitted dependencies first.
+ */
+function createSchemaWriter(spec) {
+  const components = spec.components?.schemas ?? {};
+  const emitted = new Map();
+  const visiting = new Set();
+  const declarations = [];
+
+  function emitComponent(name) {
+    if (emitted.has(name)) return emitted.get(name);
+    if (!components[name]) fail(`Unknown schema component: ${name}`);
+
+    visiting.add(name);
+    const code = toZod(components[name], "");
+    visiting.delete(name);
+
+    const constName = schemaConstName(name);
+    const description = components[name].description;
+    declarations.push(
+      `${description ? `/** ${description} */\n` : ""}export const ${constName} = ${code};`
+    );
+    emitted.set(name, constName);
+    return constName;
+  }
+
+  function withNullable(code, schema) {
+    const types = [].concat(schema.type ?? []);
+    return schema.nullable || types.includes("null") ? `${code}.nullable()` : code;
+  }
+
+  function objectCode(schema, indent) {
+    const properties = schema.properties ?? {};
+    const required = new Set(schema.required ?? []);
+    const keys = Object.keys(properties);
+
+    if (keys.length === 0) {
+      if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        return `z.record(z.string(), ${toZod(schema.additionalProperties, indent)})`;
+      }
+      return "z.looseObject({})";
+    }
+
+    const inner = `${indent}  `;
+    const lines = keys.map((key) => {
+      const code = toZod(properties[key], inner);
+      return `${inner}${propertyKey(key)}: ${required.has(key) ? code : `${code}.optional()`},`;
+    });
+    // Loose: fields added on the Xano side never fail validation
+    return `z.looseObject({\n${lines.join("\n")}\n${indent}})`;
+  }
+
+  function toZod(schema, indent) {
+    if (!schema || Object.keys(schema).length === 0) return "z.unknown()";
+
+    if (schema.$ref) {
+      const name = componentName(schema.$ref);
+      if (!name) return toZod(resolveRef(spec, schema.$ref), indent);
+      if (visiting.has(name)) return `z.lazy(() => ${schemaConstName(name)})`;
+      return emitComponent(name);
+    }
+
+    const variants = schema.oneOf ?? schema.anyOf;
+    if (variants) {
+      return withNullable(
+        `z.union([${variants.map((variant) => toZod(variant, indent)).join(", ")}])`,
+        schema
+      );
+    }
+    if (schema.allOf) {
+      const [first, ...rest] = schema.allOf.map((part) => toZod(part, indent));
+      return withNullable(rest.reduce((code, part) => `${code}.and(${part})`, first), schema);
+    }
+
+    if (schema.enum) {
+      const values = schema.enum.filter((value) => value !== null);
+      const code = values.every((value) => typeof value === "string")
+        ? `z.enum([${values.map((value) => JSON.stringify(value)).join(", ")}])`
+        : `z.union([${values.map((value) => `z.literal(${JSON.stringify(value)})`).join(", ")}])`;
+      return withNullable(code, { ...schema, nullable: schema.nullable || schema.enum.includes(null) });
+    }
+
+    const type = [].concat(schema.type ?? []).find((value) => value !== "null");
+    let code;
+    switch (type) {
+      case "string":
+        code = "z.string()";
+        break;
+      case "integer":
+        code = "z.number().int()";
+        break;
+      case "number":
+        code = "z.number()";
+        break;
+      case "boolean":
+        code = "z.boolean()";
+        break;
+      case "array":
+        code = `z.array(${toZod(schema.items, indent)})`;
+        break;
+      case "object":
+        code = objectCode(schema, indent);
+        break;
+      default:
+        code = schema.properties ? objectCode(schema, indent) : "z.unknown()";
+    }
+    return withNullable(code, schema);
+  }
+
+  /**
+   * Declare a named schema for an operation (aliases a component when possible)
+   */
+  function declare(constName, schema) {
+    const code = toZod(schema, "");
+    declarations.push(`export const ${constName} = ${code};`);
+    return constName;
+  }
+
+  return {
+    emitAllComponents: () => Object.keys(components).sort().forEach(emitComponent),
+    declare,
+    getDeclarations: () => declarations,
+  };
+}
+
+/* ------------------------------- Operations ------------------------------- */
+
+function getJsonSchema(spec, content) {
+  const entry = content?.["application/json"];
+  return entry ? deref(spec, entry).schema ?? null : null;
+}
+
+function getSuccessResponse(spec, operation) {
+  const status = Object.keys(operation.responses ?? {})
+    .filter((code) => /^2\d\d$/.test(code))
+    .sort()[0];
+  return status ? deref(spec, operation.responses[status]) : null;
+}
+
+/**
+ * Every operation in a fixed order: by path, then get/post/put/patch/delete
+ */
+function collectOperations(spec) {
+  const operations = [];
+  const names = new Set();
+
+  Object.keys(spec.paths ?? {})
+    .sort()
+    .forEach((route) => {
+      const item = spec.paths[route];
+      METHOD_ORDER.filter((method) => item[method]).forEach((method) => {
+        const operation = item[method];
+        const name = getOperationName(method, route, operation);
+        if (names.has(name)) fail(`Duplicate operation name "${name}" (${method.toUpperCase()} ${route})`);
+        names.add(name);
+
+        const response = getSuccessResponse(spec, operation);
+        const responseContent = response?.content ?? {};
+        if (Object.keys(responseContent).length > 0 && !responseContent["application/json"]) {
+          console.warn(
+            `⚠ Skipping ${method.toUpperCase()} ${route}: not a JSON response (use downloadFile for files)`
+          );
+          return;
+        }
+
+        const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])].map(
+          (parameter) => deref(spec, parameter)
+        );
+
+        operations.push({
+          name,
+          method,
+          route,
+          summary: operation.summary ?? operation.description ?? "",
+          pathParams: parameters.filter((parameter) => parameter.in === "path").map((p) => p.name),
+          requestSchema: getJsonSchema(spec, deref(spec, operation.requestBody)?.content),
+          responseSchema: getJsonSchema(spec, responseContent),
+        });
+      });
+    });
+
+  return operations;
+}
+
+/* --------------------------------- Writers -------------------------------- */
+
+function urlCode(operation) {
+  if (operation.pathParams.length === 0) return JSON.stringify(operation.route);
+  const route = operation.route.replace(
+    /\{([^}]+)\}/g,
+    (_, name) => `\${encodeURIComponent(${camelCase(name)})}`
+  );
+  return `\`${route}\``;
+}
+
+function variablesPattern(operation, restName) {
+  if (operation.pathParams.length === 0) return `${restName} = {}`;
+
+  const params = operation.pathParams.map((name) =>
+    isIdentifier(name) && name === camelCase(name)
+      ? name
+      : `${propertyKey(name)}: ${camelCase(name)}`
+  );
+  return `{ ${[...params, `...${restName}`].join(", ")} } = {}`;
+}
+
+function docComment(operation, extraLines = []) {
+  const lines = [`${operation.method.toUpperCase()} ${operation.route}`];
+  if (operation.summary) lines.push(operation.summary);
+  return `/**\n${[...lines, ...extraLines].map((line) => ` * ${line}`).join("\n")}\n */`;
+}
+
+function writeSchemas(spec, operations) {
+  const writer = createSchemaWriter(spec);
+  writer.emitAllComponents();
+
+  operations.forEach((operation) => {
+    if (operation.requestSchema) {
+      operation.bodySchemaName = writer.declare(
+        `${operation.name}BodySchema`,
+        operation.requestSchema
+      );
+    }
+    if (operation.responseSchema) {
+      operation.responseSchemaName = writer.declare(
+        `${operation.name}ResponseSchema`,
+        operation.responseSchema
+      );
+    }
+  });
+
+  return `import { z } from "zod";\n\n${writer.getDeclarations().join("\n\n")}\n`;
+}
+
+function writeService(operations, apiGroup) {
+  const schemaNames = operations.map((operation) => operation.responseSchemaName).filter(Boolean);
+
+  const functions = operations.map((operation) => {
+    const hasBody = BODY_METHODS.includes(operation.method);
+    const rest = hasBody ? "body" : "params";
+    const options = [
+      "...config",
+      !hasBody && "params",
+      operation.responseSchemaName && `responseSchema: ${operation.responseSchemaName}`,
+    ].filter(Boolean);
+    const args = [urlCode(operation), hasBody && "body"].filter(Boolean);
+
+    return [
+      docComment(operation),
+      `export async function ${operation.name}(${variablesPattern(operation, rest)}, config = {}) {`,
+      `  const response = await api.${operation.method}(${args.join(", ")}, {`,
+      ...options.map((option) => `    ${option},`),
+      "  });",
+      "  return response.data;",
+      "}",
+    ].join("\n");
+  });
+
+  const imports = [
+    apiGroup
+      ? 'import { getApi } from "../../lib/axios";'
+      : 'import { api } from "../../lib/axios";',
+  ];
+  if (schemaNames.length > 0) {
+    imports.push("", `import {\n${schemaNames.map((name) => `  ${name},`).join("\n")}\n} from "./schemas";`);
+  }
+  const client = apiGroup ? `const api = getApi(${JSON.stringify(apiGroup)});\n\n` : "";
+
+  return `${imports.join("\n")}\n\n${client}${functions.join("\n\n")}\n`;
+}
+
+function writeQueryKeys(group, operations) {
+  const keysName = `${camelCase(group)}Keys`;
+  const entries = operations
+    .filter((operation) => operation.method === "get")
+    .map((operation) =>
+      [
+        `  ${operation.name}: (variables = {}) => [`,
+        `    ...${keysName}.all,`,
+        `    ${JSON.stringify(operation.name)},`,
+        "    variables,",
+        "  ],",
+      ].join("\n")
+    );
+
+  return [
+    `export const ${keysName} = {`,
+    `  all: [${JSON.stringify(camelCase(group))}],`,
+    ...entries,
+    "};",
+    "",
+  ].join("\n");
+}
+
+function writeHooks(group, operations) {
+  const keysName = `${camelCase(group)}Keys`;
+  const serviceName = `${camelCase(group)}Service`;
+  const hasMutations = operations.some((operation) => operation.method !== "get");
+  const hasQueries = operations.some((operation) => operation.method === "get");
+
+  const hooks = operations.map((operation) => {
+    const hookName = `use${pascalCase(operation.name)}`;
+
+    if (operation.method === "get") {
+      return [
+        docComment(operation),
+        `export function ${hookName}(variables, options = {}) {`,
+        "  return useQuery({",
+        `    queryKey: ${keysName}.${operation.name}(variables),`,
+        `    queryFn: (context) =>`,
+        `      ${serviceName}.${operation.name}(variables, queryRequestConfig(context)),`,
+        "    ...options,",
+        "  });",
+        "}",
+      ].join("\n");
+    }
+
+    return [
+      docComment(operation, [`Invalidates every ${camelCase(group)} query on success`]),
+      `export function ${hookName}(options = {}) {`,
+      "  const queryClient = useQueryClient();",
+      "",
+      "  return useMutation({",
+      `    mutationFn: (variables) => ${serviceName}.${operation.name}(variables),`,
+      "    ...options,",
+      "    onSuccess: (...args) => {",
+      `      queryClient.invalidateQueries({ queryKey: ${keysName}.all });`,
+      "      return options.onSuccess?.(...args);",
+      "    },",
+      "  });",
+      "}",
+    ].join("\n");
+  });
+
+  const reactQuery = [
+    hasMutations && "useMutation",
+    hasQueries && "useQuery",
+    hasMutations && "useQueryClient",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return [
+    `import { ${reactQuery} } from "@tanstack/react-query";`,
+    "",
+    // Queries forward their signal and toast options (`meta`) to the request
+    hasQueries && 'import { queryRequestConfig } from "../../lib/queryClient";',
+    hasQueries && "",
+    `import { ${keysName} } from "./queryKeys";`,
+    `import * as ${serviceName} from "./service";`,
+    "",
+    hooks.join("\n\n"),
+    "",
+  ]
+    .filter((line) => line !== false)
+    .join("\n");
+}
+
+function writeIndex() {
+  return ["hooks", "queryKeys", "schemas", "service"]
+    .map((file) => `export * from "./${file}";`)
+    .concat("")
+    .join("\n");
+}
+
+/* ----------------------------------- CLI ---------------------------------- */
+
+function parseArgs(argv) {
+  const args = { specs: [], name: null, apiGroup: null, out: DEFAULT_OUT, check: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === "--name") args.name = argv[++index];
+    else if (arg === "--api-group") args.apiGroup = argv[++index];
+    else if (arg === "--out") args.out = argv[++index];
+    else if (arg === "--check") args.check = true;
+    else args.specs.push(arg);
+  }
+
+  if (args.specs.length === 0) {
+    if (!fs.existsSync(SPEC_DIR)) fail(`No spec given and no ${SPEC_DIR}/ directory found`);
+    args.specs = fs
+      .readdirSync(SPEC_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map((file) => path.join(SPEC_DIR, file));
+  }
+  if (args.name && args.specs.length > 1) fail("--name only works with a single spec");
+  if (args.apiGroup && args.specs.length > 1) fail("--api-group only works with a single spec");
+
+  return args;
+}
+
+function generate(specPath, group, apiGroupOverride) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(specPath, "utf8"));
+  } catch (error) {
+    fail(`Could not read ${specPath}: ${error.message}`);
+  }
+  if (!spec.openapi && !spec.swagger) fail(`${specPath} is not an OpenAPI document`);
+
+  const source = path.relative(process.cwd(), specPath).split(path.sep).join("/");
+  const header = HEADER(source);
+  const operations = collectOperations(spec);
+  const apiGroup = apiGroupOverride ?? spec["x-api-group"] ?? null;
+
+  // Schemas first - they name the schema constants the service uses
+  const schemas = writeSchemas(spec, operations);
+
+  return {
+    "schemas.js": header + "\n" + schemas,
+    "service.js": header + "\n" + writeService(operations, apiGroup),
+    "queryKeys.js": header + "\n" + writeQueryKeys(group, operations),
+    "hooks.js": header + "\n" + writeHooks(group, operations),
+    "index.js": header + "\n" + writeIndex(),
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let stale = 0;
+
+  args.specs.forEach((specPath) => {
+    const group = args.name ?? path.basename(specPath, ".json");
+    const dir = path.join(args.out, camelCase(group));
+    const files = generate(specPath, group, args.apiGroup);
+
+    Object.entries(files).forEach(([file, content]) => {
+      const target = path.join(dir, file);
+      const current = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+      if (current === content) return;
+
+      if (args.check) {
+        console.error(`✖ ${target} is out of date`);
+        stale += 1;
+        return;
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(target, content);
+      console.log(`✔ ${target}`);
+    });
+  });
+
+  if (stale > 0) fail(`${stale} generated file(s) out of date - run npm run api:generate`);
+}
+
+main();
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import process from "node:process";
+
+import { envSchema } from "../src/lib/envSchema.js";
+
+/**
+ * .env.example generator
+ * Features: Sections, descriptions, defaults and examples from the env schema
+ *
+ *   npm run env:example                # rewrite .env.example
+ *   npm run env:example -- --check     # fail if .env.example is out of date
+ *
+ * Settings with a default (or marked required) are written uncommented;
+ * optional ones are commented out with their example value.
+ */
+
+const TARGET = ".env.example";
+const RULE = `# ${"=".repeat(46)}`;
+const MAX_LINE = 80;
+
+const HEADER = [
+  RULE,
+  "# React SPA Template - Environment Variables",
+  RULE,
+  "# Generated from src/lib/envSchema.js by `npm run env:example` - edit the",
+  "# schema, not this file. Copy this file to .env and update the values.",
+];
+
+function fail(message) {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+}
+
+function formatValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /\s/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Default of a setting, or undefined when it has none
+ */
+function getDefault(schema) {
+  return schema.safeParse(undefined).data;
+}
+
+function writeSetting(key, schema) {
+  const { description, example, required } = schema.meta() ?? {};
+  const defaultValue = getDefault(schema);
+  const lines = [];
+
+  if (description) {
+    const comment = description.split("\n").map((line) => `# ${line}`);
+    if (defaultValue !== undefined) {
+      // On the first line when it fits, otherwise below the description
+      const text = formatValue(defaultValue) || '""';
+      const inline = `${comment[0]} (default: ${text})`;
+      if (inline.length <= MAX_LINE) comment[0] = inline;
+      else comment.push(`# Default: ${text}`);
+    }
+    lines.push("", ...comment);
+  }
+
+  const value = formatValue(example ?? defaultValue ?? "");
+  const enabled = defaultValue !== undefined || required;
+  lines.push(`${enabled ? "" : "# "}${key}=${value}`);
+
+  return lines;
+}
+
+function generate() {
+  const lines = [...HEADER];
+  let section = null;
+
+  Object.entries(envSchema.shape).forEach(([key, schema]) => {
+    const meta = schema.meta() ?? {};
+    if (meta.section && meta.section !== section) {
+      section = meta.section;
+      lines.push("", RULE, `# ${section}`, RULE);
+    }
+    lines.push(...writeSetting(key, schema));
+  });
+
+  // Each section starts with a setting that has a description - drop the
+  // blank line it adds right below the section rule
+  return `${lines.join("\n").replace(new RegExp(`(${RULE}\\n)\\n`, "g"), "$1")}\n`;
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  const content = generate();
+  const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, "utf8") : null;
+
+  if (current === content) return;
+
+  if (check) fail(`${TARGET} is out of date - run npm run env:example`);
+
+  fs.writeFileSync(TARGET, content);
+  console.log(`✔ ${TARGET}`);
+}
+
+main();
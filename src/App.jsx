@@ -1,16 +1,38 @@
 import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import { QueryClientProvider } from "@tanstack/react-query";
 import { ReactQueryDevtools } from "@tanstack/react-query-devtools";
+import { lazy, Suspense } from "react";
 import { ErrorBoundary } from "react-error-boundary";
 import { Toaster } from "react-hot-toast";
 import { queryClient } from "./lib/queryClient";
-import { ProtectedRoute, PublicRoute } from "./components/auth";
+import {
+  IdleTimeoutDialog,
+  ProtectedRoute,
+  PublicRoute,
+  SessionExpiryDialog,
+  SessionSync,
+} from "./components/auth";
+import FeatureFlagPanel from "./components/dev/FeatureFlagPanel";
+import { FeatureRoute } from "./components/features";
+import ErrorReportingSync from "./components/ErrorReportingSync";
 import Layout from "./components/Layout";
 import Login from "./pages/Login";
+import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import Dashboard from "./pages/Dashboard";
 import UserInfo from "./pages/UserInfo";
 import ErrorFallback from "./pages/ErrorFallback";
 import { config } from "./lib/config";
+import { captureException } from "./lib/errorReporting";
+import { FEATURES } from "./lib/featureFlags";
+import { PERMISSIONS } from "./lib/permissions";
+
+// Development only - loaded behind import.meta.env.DEV so production builds
+// leave the fault injection module out
+const FaultInjectionPanel = import.meta.env.DEV
+  ? lazy(() => import("./components/dev/FaultInjectionPanel"))
+  : null;
 
 /**
  * Main App component with routing and React Query setup
@@ -22,13 +44,12 @@ function App() {
     <ErrorBoundary
       FallbackComponent={ErrorFallback}
       onError={(error, errorInfo) => {
-        // Log error to console in development
-        if (config.isDevelopment) {
-          console.error("Error Boundary caught an error:", error, errorInfo);
-        }
-
-        // In production, you would send this to an error reporting service
-        // Example: Sentry.captureException(error, { extra: errorInfo })
+        // Logged to the console in development, sent to the configured
+        // endpoint otherwise (see lib/errorReporting)
+        captureException(error, {
+          source: "boundary",
+          extra: { componentStack: errorInfo.componentStack },
+        });
       }}
       onReset={() => {
         // Clear any state that might be causing the error
@@ -38,6 +59,11 @@ function App() {
     >
       <QueryClientProvider client={queryClient}>
         <BrowserRouter>
+          {/* Cross-tab login/logout/token sync */}
+          <SessionSync />
+          {/* Route and user for error reports */}
+          <ErrorReportingSync />
+
           <Routes>
             {/* Public Routes */}
             <Route
@@ -48,6 +74,30 @@ function App() {
                 </PublicRoute>
               }
             />
+            <Route
+              path="/register"
+              element={
+                <PublicRoute>
+                  <Register />
+                </PublicRoute>
+              }
+            />
+            <Route
+              path="/forgot-password"
+              element={
+                <PublicRoute>
+                  <ForgotPassword />
+                </PublicRoute>
+              }
+            />
+            <Route
+              path="/reset-password"
+              element={
+                <PublicRoute>
+                  <ResetPassword />
+                </PublicRoute>
+              }
+            />
 
             {/* Protected Routes */}
             <Route
@@ -55,19 +105,39 @@ function App() {
               element={
                 <ProtectedRoute>
                   <Layout />
+                  <SessionExpiryDialog />
+                  <IdleTimeoutDialog />
                 </ProtectedRoute>
               }
             >
               {/* Nested routes within Layout */}
-              <Route index element={<Dashboard />} />
-              <Route path="profile" element={<UserInfo />} />
+              <Route
+                index
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.DASHBOARD_VIEW]}>
+                    <Dashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="profile"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.PROFILE_VIEW]}>
+                    <UserInfo />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="settings"
                 element={
-                  <div className="p-8">
-                    <h1 className="text-2xl">Settings Page</h1>
-                    <p>Coming soon...</p>
-                  </div>
+                  <ProtectedRoute permissions={[PERMISSIONS.SETTINGS_MANAGE]}>
+                    <FeatureRoute feature={FEATURES.SETTINGS_PAGE}>
+                      <div className="p-8">
+                        <h1 className="text-2xl">Settings Page</h1>
+                        <p>Coming soon...</p>
+                      </div>
+                    </FeatureRoute>
+                  </ProtectedRoute>
                 }
               />
             </Route>
@@ -80,6 +150,14 @@ function App() {
         {/* React Query DevTools - only in development */}
         {config.isDevelopment && <ReactQueryDevtools initialIsOpen={false} />}
 
+        {/* Fault injection and feature flag panels - only in development */}
+        {FaultInjectionPanel && (
+          <Suspense fallback={null}>
+            <FaultInjectionPanel />
+          </Suspense>
+        )}
+        {config.isDevelopment && <FeatureFlagPanel />}
+
         {/* Toast notifications */}
         <Toaster
           position="top-right"
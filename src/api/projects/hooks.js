@@ -0,0 +1,89 @@
+// Generated by scripts/generate-api.js from openapi/projects.json - do not edit by hand.
+// Run `npm run api:generate` after updating the spec.
+
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+
+import { queryRequestConfig } from "../../lib/queryClient";
+
+import { projectsKeys } from "./queryKeys";
+import * as projectsService from "./service";
+
+/**
+ * GET /project
+ * Query all project records
+ */
+export function useGetProject(variables, options = {}) {
+  return useQuery({
+    queryKey: projectsKeys.getProject(variables),
+    queryFn: (context) =>
+      projectsService.getProject(variables, queryRequestConfig(context)),
+    ...options,
+  });
+}
+
+/**
+ * POST /project
+ * Add project record
+ * Invalidates every projects query on success
+ */
+export function usePostProject(options = {}) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (variables) => projectsService.postProject(variables),
+    ...options,
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries({ queryKey: projectsKeys.all });
+      return options.onSuccess?.(...args);
+    },
+  });
+}
+
+/**
+ * GET /project/{project_id}
+ * Get project record
+ */
+export function useGetProjectByProjectId(variables, options = {}) {
+  return useQuery({
+    queryKey: projectsKeys.getProjectByProjectId(variables),
+    queryFn: (context) =>
+      projectsService.getProjectByProjectId(variables, queryRequestConfig(context)),
+    ...options,
+  });
+}
+
+/**
+ * PATCH /project/{project_id}
+ * Edit project record
+ * Invalidates every projects query on success
+ */
+export function usePatchProjectByProjectId(options = {}) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (variables) => projectsService.patchProjectByProjectId(variables),
+    ...options,
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries({ queryKey: projectsKeys.all });
+      return options.onSuccess?.(...args);
+    },
+  });
+}
+
+/**
+ * DELETE /project/{project_id}
+ * Delete project record
+ * Invalidates every projects query on success
+ */
+export function useDeleteProjectByProjectId(options = {}) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (variables) => projectsService.deleteProjectByProjectId(variables),
+    ...options,
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries({ queryKey: projectsKeys.all });
+      return options.onSuccess?.(...args);
+    },
+  });
+}
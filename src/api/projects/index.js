@@ -0,0 +1,7 @@
+// Generated by scripts/generate-api.js from openapi/projects.json - do not edit by hand.
+// Run `npm run api:generate` after updating the spec.
+
+export * from "./hooks";
+export * from "./queryKeys";
+export * from "./schemas";
+export * from "./service";
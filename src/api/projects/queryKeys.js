@@ -0,0 +1,16 @@
+// Generated by scripts/generate-api.js from openapi/projects.json - do not edit by hand.
+// Run `npm run api:generate` after updating the spec.
+
+export const projectsKeys = {
+  all: ["projects"],
+  getProject: (variables = {}) => [
+    ...projectsKeys.all,
+    "getProject",
+    variables,
+  ],
+  getProjectByProjectId: (variables = {}) => [
+    ...projectsKeys.all,
+    "getProjectByProjectId",
+    variables,
+  ],
+};
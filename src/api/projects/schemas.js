@@ -0,0 +1,49 @@
+// Generated by scripts/generate-api.js from openapi/projects.json - do not edit by hand.
+// Run `npm run api:generate` after updating the spec.
+
+import { z } from "zod";
+
+export const projectSchema = z.looseObject({
+  id: z.number().int(),
+  created_at: z.number().int(),
+  name: z.string(),
+  status: z.enum(["active", "planning", "on_hold", "completed"]),
+  owner_id: z.number().int().nullable().optional(),
+  budget: z.number().optional(),
+  progress: z.number().int().optional(),
+});
+
+export const projectInputSchema = z.looseObject({
+  name: z.string(),
+  status: z.enum(["active", "planning", "on_hold", "completed"]).optional(),
+  owner_id: z.number().int().nullable().optional(),
+  budget: z.number().optional(),
+  progress: z.number().int().optional(),
+});
+
+export const getProjectResponseSchema = z.looseObject({
+  itemsReceived: z.number().int().optional(),
+  curPage: z.number().int().optional(),
+  nextPage: z.number().int().nullable().optional(),
+  prevPage: z.number().int().nullable().optional(),
+  offset: z.number().int().optional(),
+  itemsTotal: z.number().int().optional(),
+  pageTotal: z.number().int().optional(),
+  items: z.array(projectSchema),
+});
+
+export const postProjectBodySchema = projectInputSchema;
+
+export const postProjectResponseSchema = projectSchema;
+
+export const getProjectByProjectIdResponseSchema = projectSchema;
+
+export const patchProjectByProjectIdBodySchema = z.looseObject({
+  name: z.string().optional(),
+  status: z.enum(["active", "planning", "on_hold", "completed"]).optional(),
+  owner_id: z.number().int().nullable().optional(),
+  budget: z.number().optional(),
+  progress: z.number().int().optional(),
+});
+
+export const patchProjectByProjectIdResponseSchema = projectSchema;
@@ -0,0 +1,75 @@
+// Generated by scripts/generate-api.js from openapi/projects.json - do not edit by hand.
+// Run `npm run api:generate` after updating the spec.
+
+import { getApi } from "../../lib/axios";
+
+import {
+  getProjectResponseSchema,
+  postProjectResponseSchema,
+  getProjectByProjectIdResponseSchema,
+  patchProjectByProjectIdResponseSchema,
+} from "./schemas";
+
+const api = getApi("main");
+
+/**
+ * GET /project
+ * Query all project records
+ */
+export async function getProject(params = {}, config = {}) {
+  const response = await api.get("/project", {
+    ...config,
+    params,
+    responseSchema: getProjectResponseSchema,
+  });
+  return response.data;
+}
+
+/**
+ * POST /project
+ * Add project record
+ */
+export async function postProject(body = {}, config = {}) {
+  const response = await api.post("/project", body, {
+    ...config,
+    responseSchema: postProjectResponseSchema,
+  });
+  return response.data;
+}
+
+/**
+ * GET /project/{project_id}
+ * Get project record
+ */
+export async function getProjectByProjectId({ project_id: projectId, ...params } = {}, config = {}) {
+  const response = await api.get(`/project/${encodeURIComponent(projectId)}`, {
+    ...config,
+    params,
+    responseSchema: getProjectByProjectIdResponseSchema,
+  });
+  return response.data;
+}
+
+/**
+ * PATCH /project/{project_id}
+ * Edit project record
+ */
+export async function patchProjectByProjectId({ project_id: projectId, ...body } = {}, config = {}) {
+  const response = await api.patch(`/project/${encodeURIComponent(projectId)}`, body, {
+    ...config,
+    responseSchema: patchProjectByProjectIdResponseSchema,
+  });
+  return response.data;
+}
+
+/**
+ * DELETE /project/{project_id}
+ * Delete project record
+ */
+export async function deleteProjectByProjectId({ project_id: projectId, ...params } = {}, config = {}) {
+  const response = await api.delete(`/project/${encodeURIComponent(projectId)}`, {
+    ...config,
+    params,
+  });
+  return response.data;
+}
@@ -0,0 +1,14 @@
+import { useErrorReportingContext } from '../hooks/useErrorReporting'
+
+/**
+ * Error reporting sync component
+ * Attaches the current route and user to error reports and records
+ * navigation breadcrumbs (see lib/errorReporting)
+ * Must be rendered inside the router
+ */
+export function ErrorReportingSync() {
+  useErrorReportingContext()
+  return null
+}
+
+export default ErrorReportingSync
@@ -12,16 +12,32 @@ import {
 } from 'lucide-react'
 import { cn } from '../lib/utils'
 import { useAuthStatus, useManualLogout } from '../hooks/useAuth'
+import { useFeatures } from '../hooks/useFeatures'
+import { usePermissions } from '../hooks/usePermissions'
+import { config } from '../lib/config'
+import { FEATURES } from '../lib/featureFlags'
+import { PERMISSIONS } from '../lib/permissions'
+
+import { EnvironmentSwitcher } from './dev/EnvironmentSwitcher'
+import { RateLimitIndicator } from './ui/RateLimitIndicator'
 
 /**
  * Layout component with collapsible sidebar navigation
  * Features: Responsive design, auth-aware navigation, logout functionality
  */
 
+// Items are only shown to users holding the listed permission, and while the
+// listed feature flag is on
 const navigation = [
-  { name: 'Dashboard', href: '/', icon: Home },
-  { name: 'Profile', href: '/profile', icon: User },
-  { name: 'Settings', href: '/settings', icon: Settings },
+  { name: 'Dashboard', href: '/', icon: Home, permission: PERMISSIONS.DASHBOARD_VIEW },
+  { name: 'Profile', href: '/profile', icon: User, permission: PERMISSIONS.PROFILE_VIEW },
+  {
+    name: 'Settings',
+    href: '/settings',
+    icon: Settings,
+    permission: PERMISSIONS.SETTINGS_MANAGE,
+    feature: FEATURES.SETTINGS_PAGE,
+  },
 ]
 
 export function Layout() {
@@ -30,6 +46,14 @@ export function Layout() {
   const location = useLocation()
   const { user } = useAuthStatus()
   const { logout, isLoading } = useManualLogout()
+  const { hasPermission } = usePermissions()
+  const { isEnabled } = useFeatures()
+  
+  const visibleNavigation = navigation.filter(
+    (item) =>
+      (!item.permission || hasPermission(item.permission)) &&
+      (!item.feature || isEnabled(item.feature))
+  )
   
   const handleLogout = () => {
     logout()
@@ -55,8 +79,8 @@ export function Layout() {
           {/* Logo/Brand */}
           <div className="flex items-center justify-between h-16 px-4 border-b border-gray-200">
             {!sidebarCollapsed && (
-              <h1 className="text-xl font-semibold text-gray-900">
-                React SPA
+              <h1 className="text-xl font-semibold text-gray-900 truncate">
+                {config.app.name}
               </h1>
             )}
             
@@ -83,7 +107,7 @@ export function Layout() {
           
           {/* Navigation */}
           <nav className="flex-1 px-2 py-4 space-y-1 overflow-y-auto">
-            {navigation.map((item) => {
+            {visibleNavigation.map((item) => {
               const isActive = location.pathname === item.href
               const Icon = item.icon
               
@@ -163,6 +187,10 @@ export function Layout() {
           <div className="flex-1" />
           
           {/* Header actions can go here */}
+          <div className="flex items-center gap-3">
+            <RateLimitIndicator />
+            <EnvironmentSwitcher />
+          </div>
         </header>
         
         {/* Page content */}
@@ -0,0 +1,23 @@
+import { usePermissions } from '../../hooks/usePermissions'
+
+/**
+ * Permission gate for in-page checks
+ * Renders children only when the current user meets the requirements
+ *
+ * @example
+ * <Can permissions="users:manage" fallback={<p>Read only</p>}>
+ *   <button>Delete user</button>
+ * </Can>
+ */
+export function Can({ roles, permissions, fallback = null, children }) {
+  const { isAuthorized } = usePermissions()
+  
+  const allowed = isAuthorized({
+    roles: roles && [].concat(roles),
+    permissions: permissions && [].concat(permissions),
+  })
+  
+  return allowed ? children : fallback
+}
+
+export default Can
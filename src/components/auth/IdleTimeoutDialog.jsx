@@ -0,0 +1,77 @@
+import { Hourglass } from 'lucide-react'
+import { useEffect, useRef } from 'react'
+
+import { useLogout } from '../../hooks/useAuth'
+import { useIdleTimeout } from '../../hooks/useIdleTimeout'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/Dialog'
+
+/**
+ * Idle timeout warning dialog
+ * Counts down `config.auth.idleWarningSeconds` before the idle timeout and
+ * logs the user out through the regular logout flow once it elapses
+ */
+export function IdleTimeoutDialog() {
+  const { timeLeft, isWarning, isIdle, stayActive } = useIdleTimeout()
+  const logout = useLogout()
+  const hasLoggedOut = useRef(false)
+
+  // Idle period elapsed - end the session
+  useEffect(() => {
+    if (isIdle && !hasLoggedOut.current) {
+      hasLoggedOut.current = true
+      logout.mutate()
+    }
+  }, [isIdle, logout])
+
+  const open = isWarning && !isIdle
+  
+  return (
+    <Dialog open={open}>
+      <DialogContent
+        showCloseButton={false}
+        onEscapeKeyDown={(event) => event.preventDefault()}
+        onInteractOutside={(event) => event.preventDefault()}
+      >
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Hourglass className="h-5 w-5 text-yellow-600" />
+            Are you still there?
+          </DialogTitle>
+          <DialogDescription>
+            You have been inactive for a while. You will be signed out in{' '}
+            <span className="font-medium text-gray-900">
+              {Math.ceil((timeLeft ?? 0) / 1000)} seconds
+            </span>
+            .
+          </DialogDescription>
+        </DialogHeader>
+
+        <DialogFooter>
+          <button
+            onClick={() => logout.mutate()}
+            disabled={logout.isPending}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50 transition-colors"
+          >
+            {logout.isPending ? 'Logging out...' : 'Log out'}
+          </button>
+          <button
+            onClick={stayActive}
+            disabled={logout.isPending}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            Stay signed in
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default IdleTimeoutDialog
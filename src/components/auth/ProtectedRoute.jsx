@@ -1,13 +1,30 @@
-import { Navigate } from 'react-router-dom'
+import { Navigate, useLocation } from 'react-router-dom'
 import { useAuthStatus } from '../../hooks/useAuth'
+import { isAuthorized } from '../../lib/permissions'
+import { buildLoginPath } from '../../lib/redirect'
+import Forbidden from '../../pages/Forbidden'
 import { LoadingSpinner } from '../ui/LoadingSpinner'
 
 /**
  * Protected Route wrapper component
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, remembering the requested location
+ * Expired tokens count as logged out unless a refresh token can renew them
+ * (see authService.isAuthenticated)
+ * Optional `roles`/`permissions` render a 403 page for signed-in users who lack them
+ *
+ * @example
+ * <ProtectedRoute permissions={[PERMISSIONS.SETTINGS_MANAGE]}>
+ *   <Settings />
+ * </ProtectedRoute>
  */
-export function ProtectedRoute({ children }) {
-  const { isAuthenticated, isLoading } = useAuthStatus()
+export function ProtectedRoute({
+  children,
+  roles,
+  permissions,
+  forbiddenFallback = <Forbidden />,
+}) {
+  const { isAuthenticated, isLoading, user } = useAuthStatus()
+  const location = useLocation()
   
   if (isLoading) {
     return (
@@ -19,10 +36,14 @@ export function ProtectedRoute({ children }) {
   }
   
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />
+    return <Navigate to={buildLoginPath(location)} replace />
+  }
+  
+  if (!isAuthorized(user, { roles, permissions })) {
+    return forbiddenFallback
   }
   
   return children
 }
 
-export default ProtectedRoute 
\ No newline at end of file
+export default ProtectedRoute
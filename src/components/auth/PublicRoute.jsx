@@ -1,13 +1,15 @@
-import { Navigate } from 'react-router-dom'
+import { Navigate, useLocation } from 'react-router-dom'
 import { useAuthStatus } from '../../hooks/useAuth'
+import { getRedirectFromSearch } from '../../lib/redirect'
 import { LoadingSpinner } from '../ui/LoadingSpinner'
 
 /**
  * Public Route wrapper component (login, register, etc.)
- * Redirects to dashboard if user is already authenticated
+ * Redirects to the requested page (or dashboard) if user is already authenticated
  */
 export function PublicRoute({ children }) {
   const { isAuthenticated, isLoading } = useAuthStatus()
+  const location = useLocation()
   
   if (isLoading) {
     return (
@@ -19,7 +21,7 @@ export function PublicRoute({ children }) {
   }
   
   if (isAuthenticated) {
-    return <Navigate to="/" replace />
+    return <Navigate to={getRedirectFromSearch(location.search)} replace />
   }
   
   return children
@@ -0,0 +1,109 @@
+import { Clock } from 'lucide-react'
+import { useEffect, useRef } from 'react'
+
+import {
+  useLogout,
+  useRefreshSession,
+  useSessionExpiry,
+} from '../../hooks/useAuth'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/Dialog'
+import { LoadingSpinner } from '../ui/LoadingSpinner'
+
+/**
+ * Session expiry warning dialog
+ * Opens `config.auth.expiryWarningMinutes` before the token expires. Once it
+ * does, the session is renewed with the refresh token, and the user is only
+ * logged out when there is none or the refresh fails
+ */
+
+function formatTimeLeft(ms) {
+  const totalSeconds = Math.ceil(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return `${minutes}:${seconds}`
+}
+
+export function SessionExpiryDialog() {
+  const { timeLeft, isExpiringSoon, isExpired, canRenew } = useSessionExpiry()
+  const refreshSession = useRefreshSession()
+  const logout = useLogout()
+  const hasHandledExpiry = useRef(false)
+
+  // Token ran out without a decision - renew it if possible, else end the session
+  useEffect(() => {
+    if (!isExpired) {
+      // Renewed - handle the next expiry again
+      hasHandledExpiry.current = false
+      return
+    }
+    if (hasHandledExpiry.current) return
+    hasHandledExpiry.current = true
+
+    if (canRenew) {
+      refreshSession.mutate(undefined, { onError: () => logout.mutate() })
+    } else {
+      logout.mutate()
+    }
+  }, [isExpired, canRenew, refreshSession, logout])
+
+  const isBusy = refreshSession.isPending || logout.isPending
+  const open = isExpiringSoon && !isExpired
+  
+  return (
+    <Dialog open={open}>
+      <DialogContent
+        showCloseButton={false}
+        // Force an explicit choice
+        onEscapeKeyDown={(event) => event.preventDefault()}
+        onInteractOutside={(event) => event.preventDefault()}
+      >
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Clock className="h-5 w-5 text-yellow-600" />
+            Your session is about to expire
+          </DialogTitle>
+          <DialogDescription>
+            For your security you will be signed out in{' '}
+            <span className="font-medium text-gray-900">
+              {timeLeft !== null ? formatTimeLeft(timeLeft) : '--:--'}
+            </span>
+            . Do you want to stay signed in?
+          </DialogDescription>
+        </DialogHeader>
+
+        {refreshSession.error && (
+          <p className="text-sm text-red-600">
+            Could not extend your session. Please log in again.
+          </p>
+        )}
+
+        <DialogFooter>
+          <button
+            onClick={() => logout.mutate()}
+            disabled={isBusy}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50 transition-colors"
+          >
+            {logout.isPending ? 'Logging out...' : 'Log out'}
+          </button>
+          <button
+            onClick={() => refreshSession.mutate()}
+            disabled={isBusy}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {refreshSession.isPending && <LoadingSpinner size="sm" />}
+            Stay signed in
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default SessionExpiryDialog
@@ -0,0 +1,13 @@
+import { useSessionSync } from '../../hooks/useAuth'
+
+/**
+ * Session sync component
+ * Keeps this tab in step with logins, logouts and token changes in other tabs
+ * Must be rendered inside the router
+ */
+export function SessionSync() {
+  useSessionSync()
+  return null
+}
+
+export default SessionSync
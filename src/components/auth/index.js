@@ -3,5 +3,9 @@
  * Barrel file for clean imports
  */
 
+export { Can } from './Can'
+export { IdleTimeoutDialog } from './IdleTimeoutDialog'
 export { ProtectedRoute } from './ProtectedRoute'
-export { PublicRoute } from './PublicRoute' 
\ No newline at end of file
+export { PublicRoute } from './PublicRoute'
+export { SessionExpiryDialog } from './SessionExpiryDialog'
+export { SessionSync } from './SessionSync'
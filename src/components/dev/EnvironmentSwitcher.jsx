@@ -0,0 +1,56 @@
+import { Server } from 'lucide-react'
+
+import {
+  canSwitchApiEnvironment,
+  getActiveApiEnvironment,
+  getApiEnvironments,
+  setActiveApiEnvironment,
+} from '../../lib/apiEnvironment'
+import { cn } from '../../lib/utils'
+
+/**
+ * Backend environment switcher (non-production builds only)
+ * Lists the configured environment plus VITE_API_ENVIRONMENTS. Switching ends
+ * the session - tokens are only valid on the backend that issued them - and
+ * reloads on the login page.
+ */
+export function EnvironmentSwitcher({ className }) {
+  if (!canSwitchApiEnvironment()) return null
+
+  const active = getActiveApiEnvironment()
+
+  const handleChange = (event) => {
+    const next = event.target.value
+    const message = `Switch the API to "${next}"? You will be logged out.`
+    if (window.confirm(message)) {
+      setActiveApiEnvironment(next)
+    } else {
+      event.target.value = active
+    }
+  }
+
+  return (
+    <label
+      className={cn(
+        'flex items-center gap-2 rounded-md bg-gray-100 px-2 py-1 text-xs text-gray-700',
+        className
+      )}
+    >
+      <Server className="h-3.5 w-3.5 text-gray-500" />
+      <span className="sr-only">API environment</span>
+      <select
+        value={active}
+        onChange={handleChange}
+        className="bg-transparent font-medium focus:outline-none"
+      >
+        {getApiEnvironments().map((environment) => (
+          <option key={environment.name} value={environment.name}>
+            {environment.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default EnvironmentSwitcher
@@ -0,0 +1,250 @@
+import { Bug, Plus, Trash2, X } from 'lucide-react'
+import { useState } from 'react'
+
+import { useFaultInjection } from '../../hooks/useFaultInjection'
+import {
+  FAULT_TYPES,
+  addFaultRule,
+  clearFaultRules,
+  removeFaultRule,
+  setFaultInjectionEnabled,
+  updateFaultRule,
+} from '../../lib/faultInjection'
+import { cn } from '../../lib/utils'
+
+/**
+ * Floating fault injection panel (development only)
+ * Add latency, forced status codes, timeouts or dropped connections by URL
+ * pattern, then use the app normally to see its real error and loading states.
+ * Rules are kept in localStorage, so they survive reloads.
+ */
+
+const METHODS = ['any', 'get', 'post', 'put', 'patch', 'delete']
+
+const PRESETS = [
+  { label: 'Slow network', rule: { type: FAULT_TYPES.LATENCY, latencyMs: 3000 } },
+  { label: 'Offline', rule: { type: FAULT_TYPES.DROP } },
+  { label: 'Flaky 500s', rule: { type: FAULT_TYPES.STATUS, status: 500, probability: 0.5 } },
+  { label: 'Rate limited', rule: { type: FAULT_TYPES.STATUS, status: 429 } },
+  { label: 'Expired token', rule: { pattern: '/auth/me', method: 'get', type: FAULT_TYPES.STATUS, status: 401 } },
+]
+
+const EMPTY_FORM = {
+  pattern: '*',
+  method: 'any',
+  type: FAULT_TYPES.STATUS,
+  status: 500,
+  latencyMs: 2000,
+  probability: 100,
+}
+
+const inputClass =
+  'rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+function describeRule(rule) {
+  const chance = rule.probability < 1 ? ` (${Math.round(rule.probability * 100)}%)` : ''
+  if (rule.type === FAULT_TYPES.LATENCY) return `+${rule.latencyMs}ms${chance}`
+  if (rule.type === FAULT_TYPES.STATUS) return `${rule.status}${chance}`
+  return `${rule.type}${chance}`
+}
+
+export function FaultInjectionPanel() {
+  const { enabled, rules, activeCount } = useFaultInjection()
+  const [isOpen, setIsOpen] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  const setField = (field) => (event) => setForm({ ...form, [field]: event.target.value })
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    addFaultRule({
+      pattern: form.pattern.trim() || '*',
+      method: form.method,
+      type: form.type,
+      status: Number(form.status) || 500,
+      latencyMs: Number(form.latencyMs) || 0,
+      probability: Math.min(100, Math.max(0, Number(form.probability))) / 100,
+    })
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className={cn(
+          'fixed bottom-4 left-4 z-50 flex items-center gap-2 rounded-full px-3 py-2 text-xs font-medium shadow-lg',
+          activeCount > 0 ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-100'
+        )}
+        aria-label="Open fault injection panel"
+      >
+        <Bug className="h-4 w-4" />
+        {activeCount > 0 ? `${activeCount} ${activeCount === 1 ? 'fault' : 'faults'}` : 'Faults'}
+      </button>
+    )
+  }
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 w-96 max-w-[calc(100vw-2rem)] rounded-lg border border-gray-200 bg-white text-sm shadow-xl">
+      <div className="flex items-center justify-between border-b border-gray-200 px-3 py-2">
+        <h2 className="flex items-center gap-2 font-medium text-gray-900">
+          <Bug className="h-4 w-4 text-red-600" />
+          Fault Injection
+        </h2>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(event) => setFaultInjectionEnabled(event.target.checked)}
+            />
+            Enabled
+          </label>
+          <button
+            type="button"
+            onClick={() => setIsOpen(false)}
+            className="rounded-md p-1 text-gray-500 hover:bg-gray-100"
+            aria-label="Close fault injection panel"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto px-3 py-2">
+        {rules.length === 0 ? (
+          <p className="py-2 text-xs text-gray-500">
+            No rules. Requests reach the API untouched.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {rules.map((rule) => (
+              <li key={rule.id} className="flex items-center gap-2 py-1.5">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(event) => updateFaultRule(rule.id, { enabled: event.target.checked })}
+                  aria-label={`Toggle ${rule.pattern} rule`}
+                />
+                <span className="w-12 flex-shrink-0 font-mono text-xs uppercase text-gray-500">
+                  {rule.method}
+                </span>
+                <span
+                  className={cn(
+                    'min-w-0 flex-1 truncate font-mono text-xs',
+                    rule.enabled && enabled ? 'text-gray-900' : 'text-gray-400'
+                  )}
+                >
+                  {rule.pattern}
+                </span>
+                <span className="flex-shrink-0 rounded bg-red-50 px-1.5 py-0.5 text-xs text-red-700">
+                  {describeRule(rule)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => removeFaultRule(rule.id)}
+                  className="rounded-md p-1 text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                  aria-label={`Remove ${rule.pattern} rule`}
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-2 border-t border-gray-200 px-3 py-2">
+        <div className="flex gap-2">
+          <select value={form.method} onChange={setField('method')} className={inputClass}>
+            {METHODS.map((method) => (
+              <option key={method} value={method}>
+                {method.toUpperCase()}
+              </option>
+            ))}
+          </select>
+          <input
+            value={form.pattern}
+            onChange={setField('pattern')}
+            placeholder="/auth/* or /^\/user\/\d+$/"
+            className={cn(inputClass, 'min-w-0 flex-1 font-mono')}
+            aria-label="URL pattern"
+          />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <select value={form.type} onChange={setField('type')} className={inputClass}>
+            {Object.values(FAULT_TYPES).map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          {form.type === FAULT_TYPES.STATUS && (
+            <input
+              type="number"
+              min="400"
+              max="599"
+              value={form.status}
+              onChange={setField('status')}
+              className={cn(inputClass, 'w-16')}
+              aria-label="Status code"
+            />
+          )}
+          {form.type === FAULT_TYPES.LATENCY && (
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={form.latencyMs}
+              onChange={setField('latencyMs')}
+              className={cn(inputClass, 'w-20')}
+              aria-label="Latency in milliseconds"
+            />
+          )}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={form.probability}
+            onChange={setField('probability')}
+            className={cn(inputClass, 'w-14')}
+            aria-label="Probability in percent"
+          />
+          <span className="text-xs text-gray-500">%</span>
+          <button
+            type="submit"
+            className="ml-auto flex items-center gap-1 rounded-md bg-blue-600 px-2 py-1 text-xs font-medium text-white hover:bg-blue-700"
+          >
+            <Plus className="h-3.5 w-3.5" />
+            Add
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1 pt-1">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => addFaultRule(preset.rule)}
+              className="rounded bg-gray-100 px-2 py-0.5 text-xs text-gray-700 hover:bg-gray-200"
+            >
+              {preset.label}
+            </button>
+          ))}
+          {rules.length > 0 && (
+            <button
+              type="button"
+              onClick={clearFaultRules}
+              className="ml-auto text-xs text-gray-500 hover:text-gray-700"
+            >
+              Clear all
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default FaultInjectionPanel
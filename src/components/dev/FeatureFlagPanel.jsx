@@ -0,0 +1,141 @@
+import { Flag, X } from 'lucide-react'
+import { useState } from 'react'
+
+import { useAuthStatus } from '../../hooks/useAuth'
+import { useFeatureFlags, useFeatureOverrides } from '../../hooks/useFeatures'
+import {
+  FEATURES,
+  clearFeatureOverrides,
+  resolveFeatures,
+  setFeatureOverride,
+} from '../../lib/featureFlags'
+import { cn } from '../../lib/utils'
+
+/**
+ * Floating feature flag panel (development only)
+ * Lists every known flag with its value from /feature_flag for the current
+ * user, and forces flags on or off locally. Overrides are kept in
+ * localStorage, so they survive reloads.
+ */
+
+const OVERRIDE_OPTIONS = [
+  { label: 'Default', value: 'default' },
+  { label: 'On', value: 'on' },
+  { label: 'Off', value: 'off' },
+]
+
+function toOptionValue(override) {
+  if (override === undefined) return 'default'
+  return override ? 'on' : 'off'
+}
+
+export function FeatureFlagPanel() {
+  const { user } = useAuthStatus()
+  const { data: flags, isError } = useFeatureFlags()
+  const overrides = useFeatureOverrides()
+  const [isOpen, setIsOpen] = useState(false)
+
+  // Values from the endpoint alone, to show what each override changes
+  const remote = resolveFeatures(flags, user, {})
+  const names = [...new Set([...Object.values(FEATURES), ...Object.keys(remote)])].sort()
+  const overrideCount = Object.keys(overrides).length
+
+  const handleChange = (name) => (event) => {
+    const { value } = event.target
+    setFeatureOverride(name, value === 'default' ? null : value === 'on')
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className={cn(
+          'fixed bottom-16 left-4 z-50 flex items-center gap-2 rounded-full px-3 py-2 text-xs font-medium shadow-lg',
+          overrideCount > 0 ? 'bg-purple-600 text-white' : 'bg-gray-800 text-gray-100'
+        )}
+        aria-label="Open feature flag panel"
+      >
+        <Flag className="h-4 w-4" />
+        {overrideCount > 0
+          ? `${overrideCount} ${overrideCount === 1 ? 'override' : 'overrides'}`
+          : 'Flags'}
+      </button>
+    )
+  }
+
+  return (
+    <div className="fixed bottom-16 left-4 z-50 w-80 max-w-[calc(100vw-2rem)] rounded-lg border border-gray-200 bg-white text-sm shadow-xl">
+      <div className="flex items-center justify-between border-b border-gray-200 px-3 py-2">
+        <h2 className="flex items-center gap-2 font-medium text-gray-900">
+          <Flag className="h-4 w-4 text-purple-600" />
+          Feature Flags
+        </h2>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="rounded-md p-1 text-gray-500 hover:bg-gray-100"
+          aria-label="Close feature flag panel"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {isError && (
+        <p className="border-b border-gray-200 px-3 py-2 text-xs text-red-600">
+          Could not load /feature_flag - every flag is off unless overridden.
+        </p>
+      )}
+
+      <ul className="max-h-72 divide-y divide-gray-100 overflow-y-auto px-3 py-1">
+        {names.map((name) => (
+          <li key={name} className="flex items-center gap-2 py-1.5">
+            <span
+              className={cn(
+                'min-w-0 flex-1 truncate font-mono text-xs',
+                name in overrides ? 'text-purple-700' : 'text-gray-900'
+              )}
+            >
+              {name}
+            </span>
+            <span
+              className={cn(
+                'flex-shrink-0 rounded px-1.5 py-0.5 text-xs',
+                remote[name] ? 'bg-green-50 text-green-700' : 'bg-gray-100 text-gray-500'
+              )}
+              title="Value from /feature_flag"
+            >
+              {remote[name] ? 'on' : 'off'}
+            </span>
+            <select
+              value={toOptionValue(overrides[name])}
+              onChange={handleChange(name)}
+              className="rounded-md border border-gray-300 px-1 py-0.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label={`Override ${name}`}
+            >
+              {OVERRIDE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+
+      {overrideCount > 0 && (
+        <div className="flex justify-end border-t border-gray-200 px-3 py-2">
+          <button
+            type="button"
+            onClick={clearFeatureOverrides}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Clear overrides
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FeatureFlagPanel
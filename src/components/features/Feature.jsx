@@ -0,0 +1,18 @@
+import { useFeatures } from '../../hooks/useFeatures'
+
+/**
+ * Feature flag gate for in-page checks
+ * Renders children only when the flag is on for the current user
+ *
+ * @example
+ * <Feature name={FEATURES.REPORTS} fallback={<UpgradeNotice />}>
+ *   <ReportsCard />
+ * </Feature>
+ */
+export function Feature({ name, fallback = null, children }) {
+  const { isEnabled } = useFeatures()
+
+  return isEnabled(name) ? children : fallback
+}
+
+export default Feature
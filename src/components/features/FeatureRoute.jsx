@@ -0,0 +1,34 @@
+import { Navigate } from 'react-router-dom'
+
+import { useFeatures } from '../../hooks/useFeatures'
+import { LoadingSpinner } from '../ui/LoadingSpinner'
+
+/**
+ * Route gate for feature flags
+ * Routes behind a disabled flag behave as if they did not exist and redirect
+ * to `redirectTo`. Waits for the flags, so enabled routes never bounce.
+ *
+ * @example
+ * <FeatureRoute feature={FEATURES.SETTINGS_PAGE}>
+ *   <Settings />
+ * </FeatureRoute>
+ */
+export function FeatureRoute({ feature, redirectTo = '/', children }) {
+  const { isEnabled, isLoading } = useFeatures()
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!isEnabled(feature)) {
+    return <Navigate to={redirectTo} replace />
+  }
+
+  return children
+}
+
+export default FeatureRoute
@@ -0,0 +1,7 @@
+/**
+ * Feature flag component exports
+ * Barrel file for clean imports
+ */
+
+export { Feature } from './Feature'
+export { FeatureRoute } from './FeatureRoute'
@@ -0,0 +1,173 @@
+import { CheckCircle2, File as FileIcon, RotateCw, Upload, X, XCircle } from 'lucide-react'
+import { useRef, useState } from 'react'
+
+import { UPLOAD_STATUS, canRetryUpload, formatFileSize } from '../../lib/uploads'
+import { cn } from '../../lib/utils'
+
+/**
+ * Drag-and-drop file picker with per-file upload progress
+ * Works with useUpload: dropped or picked files are queued immediately
+ */
+export function Dropzone({
+  upload,
+  multiple = true,
+  disabled = false,
+  label = 'Drag files here or click to browse',
+  className,
+}) {
+  const inputRef = useRef(null)
+  const [isDragging, setIsDragging] = useState(false)
+
+  const handleFiles = (files) => {
+    if (disabled || !files?.length) return
+    upload.upload(multiple ? files : [files[0]])
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    handleFiles(event.dataTransfer.files)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault()
+      inputRef.current?.click()
+    }
+  }
+
+  const hints = [
+    upload.accept?.length > 0 && upload.accept.join(', '),
+    upload.maxSize && `up to ${formatFileSize(upload.maxSize)}`,
+  ].filter(Boolean)
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      <div
+        role="button"
+        tabIndex={disabled ? -1 : 0}
+        aria-disabled={disabled}
+        onClick={() => !disabled && inputRef.current?.click()}
+        onKeyDown={handleKeyDown}
+        onDragOver={(event) => {
+          event.preventDefault()
+          if (!disabled) setIsDragging(true)
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={cn(
+          'flex flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed px-6 py-8 text-center transition-colors',
+          'focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2',
+          isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400',
+          disabled ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'
+        )}
+      >
+        <Upload className="h-8 w-8 text-gray-400" />
+        <p className="text-sm font-medium text-gray-700">{label}</p>
+        {hints.length > 0 && (
+          <p className="text-xs text-gray-500">{hints.join(' · ')}</p>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          multiple={multiple}
+          accept={upload.accept?.join(',')}
+          disabled={disabled}
+          className="hidden"
+          onChange={(event) => {
+            handleFiles(event.target.files)
+            // Allow picking the same file again
+            event.target.value = ''
+          }}
+        />
+      </div>
+
+      {upload.items.length > 0 && (
+        <ul className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {upload.items.map((item) => (
+            <UploadItem
+              key={item.id}
+              item={item}
+              onCancel={() => upload.cancel(item.id)}
+              onRetry={() => upload.retry(item.id)}
+              onRemove={() => upload.remove(item.id)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+/**
+ * One file row: name, size, progress bar or result, and its actions
+ */
+function UploadItem({ item, onCancel, onRetry, onRemove }) {
+  const isActive = item.status === UPLOAD_STATUS.QUEUED || item.status === UPLOAD_STATUS.UPLOADING
+  const canRetry = canRetryUpload(item)
+
+  return (
+    <li className="flex items-center gap-3 px-3 py-2">
+      {item.status === UPLOAD_STATUS.SUCCESS ? (
+        <CheckCircle2 className="h-5 w-5 flex-shrink-0 text-green-600" />
+      ) : item.status === UPLOAD_STATUS.ERROR ? (
+        <XCircle className="h-5 w-5 flex-shrink-0 text-red-600" />
+      ) : (
+        <FileIcon className="h-5 w-5 flex-shrink-0 text-gray-400" />
+      )}
+
+      <div className="min-w-0 flex-1">
+        <div className="flex items-baseline justify-between gap-2">
+          <p className="truncate text-sm font-medium text-gray-900">{item.name}</p>
+          <span className="flex-shrink-0 text-xs text-gray-500">
+            {formatFileSize(item.size)}
+          </span>
+        </div>
+
+        {isActive && (
+          <div
+            className="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-gray-100"
+            role="progressbar"
+            aria-valuenow={item.progress}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div
+              className="h-full bg-blue-600 transition-all"
+              style={{ width: `${item.progress}%` }}
+            />
+          </div>
+        )}
+        {item.status === UPLOAD_STATUS.ERROR && (
+          <p className="mt-0.5 text-xs text-red-600">{item.error?.message}</p>
+        )}
+        {item.status === UPLOAD_STATUS.CANCELLED && (
+          <p className="mt-0.5 text-xs text-gray-500">Cancelled</p>
+        )}
+      </div>
+
+      <div className="flex flex-shrink-0 items-center gap-1">
+        {canRetry && (
+          <button
+            type="button"
+            onClick={onRetry}
+            className="rounded-md p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+            aria-label={`Retry ${item.name}`}
+          >
+            <RotateCw className="h-4 w-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={isActive ? onCancel : onRemove}
+          className="rounded-md p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+          aria-label={`${isActive ? 'Cancel' : 'Remove'} ${item.name}`}
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    </li>
+  )
+}
+
+export default Dropzone
@@ -0,0 +1,94 @@
+import { ChevronLeft, ChevronRight, MoreHorizontal } from 'lucide-react'
+
+import { getPageRange } from '../../lib/pagination'
+import { cn } from '../../lib/utils'
+
+import { LoadingSpinner } from './LoadingSpinner'
+
+/**
+ * Page navigation for paged lists
+ * Works with usePagedList; without `pageCount` (Xano totals off) only
+ * previous/next are shown
+ */
+export function Pagination({
+  page,
+  pageCount,
+  onPageChange,
+  hasNextPage = pageCount ? page < pageCount : false,
+  hasPrevPage = page > 1,
+  total,
+  perPage,
+  isFetching = false,
+  className,
+}) {
+  const pages = pageCount ? getPageRange(page, pageCount) : []
+  const firstItem = perPage ? (page - 1) * perPage + 1 : null
+  const lastItem = perPage && total != null ? Math.min(page * perPage, total) : null
+
+  const buttonClass =
+    'inline-flex items-center justify-center h-8 min-w-8 px-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <nav
+      aria-label="Pagination"
+      className={cn('flex items-center justify-between gap-4', className)}
+    >
+      <p className="text-sm text-gray-600">
+        {total != null && firstItem != null && total > 0
+          ? `Showing ${firstItem}-${lastItem} of ${total}`
+          : total != null
+            ? `${total} results`
+            : `Page ${page}`}
+      </p>
+
+      <div className="flex items-center gap-1">
+        {isFetching && <LoadingSpinner size="sm" className="mr-2 text-gray-400" />}
+
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={!hasPrevPage}
+          className={cn(buttonClass, 'text-gray-600 hover:bg-gray-100')}
+          aria-label="Previous page"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+
+        {pages.map((pageNumber, index) =>
+          pageNumber === null ? (
+            <span key={`gap-${index}`} className="px-1 text-gray-400">
+              <MoreHorizontal className="h-4 w-4" />
+            </span>
+          ) : (
+            <button
+              key={pageNumber}
+              type="button"
+              onClick={() => onPageChange(pageNumber)}
+              aria-current={pageNumber === page ? 'page' : undefined}
+              className={cn(
+                buttonClass,
+                pageNumber === page
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-700 hover:bg-gray-100'
+              )}
+            >
+              {pageNumber}
+            </button>
+          )
+        )}
+
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={!hasNextPage}
+          className={cn(buttonClass, 'text-gray-600 hover:bg-gray-100')}
+          aria-label="Next page"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+    </nav>
+  )
+}
+
+export default Pagination
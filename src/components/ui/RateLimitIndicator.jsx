@@ -0,0 +1,31 @@
+import { Hourglass } from 'lucide-react'
+
+import { useRateLimitQueue } from '../../hooks/useRateLimit'
+import { cn } from '../../lib/utils'
+
+/**
+ * Shows that requests are queued behind the client-side rate limit
+ * Renders nothing while requests flow normally
+ */
+export function RateLimitIndicator({ group, className }) {
+  const { queued, isWaiting } = useRateLimitQueue(group)
+
+  if (!isWaiting) return null
+
+  return (
+    <div
+      role="status"
+      className={cn(
+        'flex items-center gap-2 rounded-md bg-amber-50 px-3 py-1 text-sm text-amber-800',
+        className
+      )}
+    >
+      <Hourglass className="h-4 w-4 animate-pulse" />
+      <span>
+        Waiting for rate limit ({queued} {queued === 1 ? 'request' : 'requests'} queued)
+      </span>
+    </div>
+  )
+}
+
+export default RateLimitIndicator
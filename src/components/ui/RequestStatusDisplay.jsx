@@ -5,7 +5,7 @@ import { config } from '../../lib/config'
 
 /**
  * RequestStatusDisplay component for consistent error/success feedback
- * Features: API response data display, expandable debug details
+ * Features: API response data display, per-field errors, expandable debug details
  * Note: Loading states are handled by ApiButton component
  */
 
@@ -22,6 +22,7 @@ export function RequestStatusDisplay({
   if (!mutation) return null
   
   const { error, isSuccess, data } = mutation
+  const fieldErrors = Object.entries(error?.fieldErrors ?? {})
   
   // Don't show anything if no error or success to display
   if (!error && !isSuccess) return null
@@ -41,6 +42,17 @@ export function RequestStatusDisplay({
               {error.message || 'An error occurred'}
             </div>
             
+            {/* Per-field validation errors */}
+            {fieldErrors.length > 0 && (
+              <ul className={cn('list-disc list-inside mt-1 space-y-0.5', compact ? 'text-xs' : 'text-sm')}>
+                {fieldErrors.map(([field, message]) => (
+                  <li key={field}>
+                    <span className="font-medium">{field}</span>: {message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            
             {/* Status code and URL info */}
             {(error.status || error.url) && (
               <div className={cn('text-sm opacity-75 mt-1', compact && 'text-xs')}>
@@ -1,22 +1,32 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { useNavigate } from "react-router-dom";
-import * as authService from "../services/authService";
-import { queryKeys } from "../lib/queryClient";
+import { useEffect, useState } from "react";
 import toast from "react-hot-toast";
+import { useNavigate, useLocation } from "react-router-dom";
+
+import { config } from "../lib/config";
+import { queryKeys, queryRequestConfig } from "../lib/queryClient";
+import { getRedirectFromSearch } from "../lib/redirect";
+import { SESSION_EVENTS, subscribeToSessionEvents } from "../lib/sessionSync";
+import * as authService from "../services/authService";
 
 /**
  * Authentication hooks using React Query
  * Features: Login, logout, auth status, user data management
  */
 
+// Auth forms render errors inline, so their mutations never toast errors
+const INLINE_ERRORS = { silent: true };
+
 /**
  * Login mutation hook
  */
 export function useLogin() {
   const navigate = useNavigate();
+  const location = useLocation();
   const queryClient = useQueryClient();
 
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: ({ email, password }) => {
       console.log('🚀 [HOOK] Login mutation started at:', new Date().toISOString());
       return authService.login(email, password);
@@ -34,9 +44,10 @@ export function useLogin() {
       console.log('🎉 [HOOK] Showing toast notification...');
       toast.success("Welcome back!");
 
-      // Redirect to dashboard
-      console.log('📍 [HOOK] Navigating to dashboard...');
-      navigate("/");
+      // Redirect to the originally requested page (or dashboard)
+      const redirectTo = getRedirectFromSearch(location.search);
+      console.log('📍 [HOOK] Navigating to', redirectTo);
+      navigate(redirectTo, { replace: true });
       console.log('✅ [HOOK] Login flow completed at:', new Date().toISOString());
     },
     onError: (error) => {
@@ -54,6 +65,7 @@ export function useLogout() {
   const queryClient = useQueryClient();
 
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: authService.logout,
     onSuccess: () => {
       // Clear all cached data
@@ -80,7 +92,7 @@ export function useLogout() {
 export function useUser() {
   return useQuery({
     queryKey: queryKeys.auth.user(),
-    queryFn: authService.getCurrentUser,
+    queryFn: (context) => authService.getCurrentUser(queryRequestConfig(context)),
     enabled: authService.isAuthenticated(),
     staleTime: 5 * 60 * 1000, // 5 minutes
     retry: (failureCount, error) => {
@@ -104,6 +116,52 @@ export function useAuthStatus() {
     isLoading,
     user,
     error,
+    // Millisecond timestamp, or null when the token has no readable expiry
+    expiresAt: authService.getTokenExpiry(),
+  };
+}
+
+/**
+ * Refresh session mutation - exchanges the refresh token for a new access token
+ * (shared with a refresh the HTTP client may already be running)
+ */
+export function useRefreshSession() {
+  return useMutation({
+    meta: INLINE_ERRORS,
+    mutationFn: authService.renewSession,
+    retry: false,
+    onError: (error) => {
+      console.error("Session refresh failed:", error);
+    },
+  });
+}
+
+/**
+ * Session expiry hook - ticks down to the token's `exp` claim
+ * @param {number} warningMs - How long before expiry the session counts as "expiring soon"
+ */
+export function useSessionExpiry(
+  warningMs = config.auth.expiryWarningMinutes * 60 * 1000
+) {
+  const { isAuthenticated, expiresAt } = useAuthStatus();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!isAuthenticated || !expiresAt) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isAuthenticated, expiresAt]);
+
+  const timeLeft = expiresAt ? Math.max(0, expiresAt - now) : null;
+
+  return {
+    expiresAt,
+    timeLeft,
+    isExpiringSoon: timeLeft !== null && timeLeft <= warningMs,
+    isExpired: timeLeft === 0,
+    // A refresh token can renew the session once it has expired
+    canRenew: authService.hasRefreshToken(),
   };
 }
 
@@ -129,6 +187,7 @@ export function useUpdateProfile() {
   const queryClient = useQueryClient();
 
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: authService.updateProfile,
     onSuccess: (updatedUser) => {
       // Update user data in cache
@@ -148,6 +207,7 @@ export function useUpdateProfile() {
  */
 export function useChangePassword() {
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: ({ currentPassword, newPassword }) =>
       authService.changePassword(currentPassword, newPassword),
     onSuccess: () => {
@@ -164,11 +224,16 @@ export function useRegister() {
   const queryClient = useQueryClient();
 
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: authService.register,
+    retry: false, // Never create the same account twice
     onSuccess: (data) => {
       // Set user data in cache
       queryClient.setQueryData(queryKeys.auth.user(), data.user);
 
+      // Show success message
+      toast.success("Account created successfully");
+
       // Redirect to dashboard
       navigate("/");
     },
@@ -183,6 +248,7 @@ export function useRegister() {
  */
 export function useRequestPasswordReset() {
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: authService.requestPasswordReset,
     onError: (error) => {
       console.error("Password reset request failed:", error);
@@ -197,11 +263,17 @@ export function useResetPassword() {
   const navigate = useNavigate();
 
   return useMutation({
+    meta: INLINE_ERRORS,
     mutationFn: ({ token, newPassword }) =>
       authService.resetPassword(token, newPassword),
     onSuccess: () => {
-      // Redirect to login after successful reset
-      navigate("/login");
+      // Redirect to login after successful reset, with a message for the login page
+      navigate("/login", {
+        replace: true,
+        state: {
+          message: "Your password has been reset. Please sign in with your new password.",
+        },
+      });
     },
     onError: (error) => {
       console.error("Password reset failed:", error);
@@ -209,6 +281,66 @@ export function useResetPassword() {
   });
 }
 
+/**
+ * Public (logged-out) routes that a tab should leave once another tab logs in
+ */
+const PUBLIC_PATHS = ["/login", "/register", "/forgot-password", "/reset-password"];
+
+/**
+ * Cross-tab session sync - mirrors login/logout/token changes from other tabs
+ * Mount once inside the router (see components/auth/SessionSync)
+ */
+export function useSessionSync() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const { pathname, search } = location;
+
+  useEffect(() => {
+    return subscribeToSessionEvents((event) => {
+      switch (event?.type) {
+        case SESSION_EVENTS.LOGOUT: {
+          // Drop everything the previous user could see
+          queryClient.clear();
+          toast("You were signed out in another tab", { id: "session-sync" });
+          navigate("/login", { replace: true });
+          break;
+        }
+
+        case SESSION_EVENTS.LOGIN: {
+          const cachedUser = queryClient.getQueryData(queryKeys.auth.user());
+
+          if (cachedUser && cachedUser.id === event.userId) {
+            // Same user - just make sure auth data is fresh
+            queryClient.invalidateQueries({ queryKey: queryKeys.auth.all });
+          } else {
+            // Different (or new) identity - never mix cached data between users
+            queryClient.resetQueries();
+          }
+
+          if (PUBLIC_PATHS.includes(pathname)) {
+            navigate(getRedirectFromSearch(search), { replace: true });
+          }
+          break;
+        }
+
+        case SESSION_EVENTS.TOKEN: {
+          // Cookies are shared, so the new token is already in use here.
+          // Mark auth data stale so the next mount revalidates it.
+          queryClient.invalidateQueries({
+            queryKey: queryKeys.auth.all,
+            refetchType: "none",
+          });
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+  }, [navigate, pathname, search, queryClient]);
+}
+
 /**
  * Manual logout function (for use in components)
  */
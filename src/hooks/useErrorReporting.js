@@ -0,0 +1,35 @@
+import { useEffect, useRef } from "react";
+import { useLocation } from "react-router-dom";
+
+import { addBreadcrumb, setReportingContext } from "../lib/errorReporting";
+
+import { useAuthStatus } from "./useAuth";
+
+/**
+ * Error reporting hooks
+ * Features: Route and user context for reports, navigation breadcrumbs
+ */
+
+/**
+ * Keep the error reporter's route and user in step with the app
+ * Must be used inside the router (see components/ErrorReportingSync)
+ */
+export function useErrorReportingContext() {
+  const { pathname } = useLocation();
+  const { user } = useAuthStatus();
+  const previousPath = useRef(null);
+  const userId = user?.id ?? null;
+
+  useEffect(() => {
+    setReportingContext({ userId });
+  }, [userId]);
+
+  useEffect(() => {
+    setReportingContext({ route: pathname });
+    addBreadcrumb({
+      type: "navigation",
+      message: previousPath.current ? `${previousPath.current} → ${pathname}` : pathname,
+    });
+    previousPath.current = pathname;
+  }, [pathname]);
+}
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from "react";
+
+import { getFaultInjectionState, subscribeToFaultInjection } from "../lib/faultInjection";
+
+/**
+ * Fault injection hook
+ * Features: Live fault rules and master switch for the dev panel
+ */
+
+/**
+ * Current fault injection rules (see ../lib/faultInjection)
+ * @returns {{ enabled: boolean, rules: object[], activeCount: number }}
+ */
+export function useFaultInjection() {
+  const state = useSyncExternalStore(subscribeToFaultInjection, getFaultInjectionState);
+
+  const activeCount = state.enabled ? state.rules.filter((rule) => rule.enabled).length : 0;
+
+  return { ...state, activeCount };
+}
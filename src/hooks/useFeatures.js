@@ -0,0 +1,71 @@
+import { useQuery } from "@tanstack/react-query";
+import { useMemo, useSyncExternalStore } from "react";
+
+import {
+  getFeatureOverrides,
+  resolveFeatures,
+  subscribeToFeatureOverrides,
+} from "../lib/featureFlags";
+import { queryKeys, queryRequestConfig } from "../lib/queryClient";
+import { getFeatureFlags } from "../services/featureFlagService";
+
+import { useAuthStatus } from "./useAuth";
+
+/**
+ * Feature flag hooks
+ * Features: Cached flag records, per-user evaluation, live dev overrides
+ */
+
+/**
+ * Raw flag records from /feature_flag (fetched once signed in)
+ */
+export function useFeatureFlags() {
+  const { isAuthenticated } = useAuthStatus();
+
+  return useQuery({
+    queryKey: queryKeys.features.all,
+    queryFn: (context) => getFeatureFlags(queryRequestConfig(context)),
+    enabled: isAuthenticated,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    // Flags only hide or show UI - no toast when they fail to load
+    meta: { silent: true },
+  });
+}
+
+/**
+ * Local overrides from the feature flag panel (see ../lib/featureFlags)
+ */
+export function useFeatureOverrides() {
+  return useSyncExternalStore(subscribeToFeatureOverrides, getFeatureOverrides);
+}
+
+/**
+ * Every flag resolved for the current user
+ * @returns {{ features: Record<string, boolean>, isEnabled: (name: string) => boolean, isLoading: boolean }}
+ */
+export function useFeatures() {
+  const { user } = useAuthStatus();
+  const { data: flags, isLoading } = useFeatureFlags();
+  const overrides = useFeatureOverrides();
+
+  return useMemo(() => {
+    const features = resolveFeatures(flags, user, overrides);
+    return {
+      features,
+      isEnabled: (name) => features[name] === true,
+      isLoading,
+    };
+  }, [flags, user, overrides, isLoading]);
+}
+
+/**
+ * Check a single flag for the current user
+ * @param {string} name - Flag name, e.g. FEATURES.REPORTS
+ * @returns {boolean} Flags not loaded yet or not returned use FEATURE_DEFAULTS (off by default)
+ *
+ * @example
+ * const showReports = useFeature(FEATURES.REPORTS);
+ */
+export function useFeature(name) {
+  return useFeatures().isEnabled(name);
+}
@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useState } from "react";
+
+import { config } from "../lib/config";
+import {
+  getLastActivity,
+  recordActivity,
+  startActivityTracking,
+} from "../lib/idleTracker";
+
+import { useAuthStatus } from "./useAuth";
+
+/**
+ * Idle timeout hooks
+ * Features: Cross-tab inactivity tracking, per-user timeout override, countdown
+ */
+
+/**
+ * Resolve the idle timeout for a user
+ * An admin-set `preferences.idleTimeoutMinutes` wins over the app config; 0 disables it
+ * @returns {number} Idle timeout in minutes
+ */
+export function getIdleTimeoutMinutes(user) {
+  const override = user?.preferences?.idleTimeoutMinutes;
+  return typeof override === "number" && override >= 0
+    ? override
+    : config.auth.idleTimeoutMinutes;
+}
+
+/**
+ * Idle timeout hook - counts down from the last activity in any tab
+ */
+export function useIdleTimeout() {
+  const { isAuthenticated, user } = useAuthStatus();
+  const [now, setNow] = useState(() => Date.now());
+
+  const timeoutMs = getIdleTimeoutMinutes(user) * 60 * 1000;
+  const warningMs = Math.min(config.auth.idleWarningSeconds * 1000, timeoutMs);
+  const isEnabled = isAuthenticated && timeoutMs > 0;
+
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    const tick = () => setNow(Date.now());
+    // Check right away - an idle period that ran out while the app was
+    // closed logs out on load instead of after the first tick
+    tick();
+    const stopTracking = startActivityTracking({ onResume: tick });
+    const interval = setInterval(tick, 1000);
+
+    return () => {
+      stopTracking();
+      clearInterval(interval);
+    };
+  }, [isEnabled]);
+
+  const stayActive = useCallback(() => {
+    recordActivity();
+    setNow(Date.now());
+  }, []);
+
+  const timeLeft = isEnabled
+    ? Math.max(0, getLastActivity() + timeoutMs - now)
+    : null;
+
+  return {
+    isEnabled,
+    timeLeft,
+    isWarning: timeLeft !== null && timeLeft <= warningMs,
+    isIdle: timeLeft === 0,
+    stayActive,
+  };
+}
@@ -0,0 +1,247 @@
+import {
+  hashKey,
+  keepPreviousData,
+  useInfiniteQuery,
+  useQuery,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import { getApi } from "../lib/axios";
+import { DEFAULT_PER_PAGE } from "../lib/pagination";
+import { queryRequestConfig } from "../lib/queryClient";
+
+/**
+ * List hooks for Xano paged endpoints
+ * Features: Page-number paging with next-page prefetch, infinite lists with
+ * scroll-ahead loading, parsed Xano paging envelopes (see ../lib/pagination)
+ */
+
+/**
+ * Query options for one page - shared by the page query and its prefetch
+ * With a list query (see ../lib/queryBuilder), paging travels in its `external` param.
+ */
+function pageQueryOptions({
+  queryKey,
+  url,
+  params,
+  perPage,
+  page,
+  query,
+  responseSchema,
+  apiGroup,
+}) {
+  const api = getApi(apiGroup);
+
+  if (query) {
+    const pageQuery = query.page(page);
+    return {
+      queryKey: [...queryKey, pageQuery.toKey()],
+      queryFn: ({ signal, meta }) =>
+        api.getPage(url, {
+          params: { ...params, ...pageQuery.toParams() },
+          responseSchema,
+          ...queryRequestConfig({ signal, meta }),
+        }),
+    };
+  }
+
+  return {
+    queryKey: [...queryKey, { params, perPage, page }],
+    queryFn: ({ signal, meta }) =>
+      api.getPage(url, {
+        page,
+        perPage,
+        params,
+        responseSchema,
+        ...queryRequestConfig({ signal, meta }),
+      }),
+  };
+}
+
+/**
+ * Page-number list (tables with a Pagination control)
+ * The previous page stays on screen while the next one loads, and the page
+ * after the current one is prefetched so "Next" is instant.
+ * @param {object} options - Any useQuery option, plus:
+ * @param {string} options.url - Xano list endpoint
+ * @param {Array} [options.queryKey] - Base key, e.g. queryKeys.users.list(filters) (defaults to [url])
+ * @param {object} [options.params] - Filters sent with every page
+ * @param {object} [options.query] - List query from defineListQuery; sets filters,
+ *   sort, perPage and the starting page through Xano's `external` param
+ * @param {number} [options.perPage] - Page size
+ * @param {number} [options.page] - Controlled page (pair with onPageChange)
+ * @param {number} [options.initialPage] - Starting page when uncontrolled
+ * @param {Function} [options.onPageChange] - Called with the new page number
+ * @param {boolean} [options.prefetchNext] - Prefetch the next page (default true)
+ * @param {object} [options.responseSchema] - zod schema for the raw Xano page,
+ *   e.g. xanoPageResponseSchema(itemSchema) (see ../lib/validation)
+ * @param {string} [options.apiGroup] - API group of the endpoint (defaults to the default group)
+ *
+ * @example
+ * const users = usePagedList({ url: "/user", queryKey: queryKeys.users.list(filters), params: filters });
+ * <Pagination page={users.page} pageCount={users.pageCount} onPageChange={users.setPage} />
+ *
+ * @example
+ * const [query, setQuery] = useListQueryParams(userListQuery);
+ * usePagedList({ url: "/user", query, onPageChange: (page) => setQuery(query.page(page)) });
+ */
+export function usePagedList({
+  url,
+  queryKey = [url],
+  params,
+  query,
+  perPage = query?.state.perPage ?? DEFAULT_PER_PAGE,
+  page: controlledPage,
+  initialPage = 1,
+  onPageChange,
+  prefetchNext = true,
+  responseSchema,
+  apiGroup,
+  ...options
+}) {
+  const queryClient = useQueryClient();
+  const [internalPage, setInternalPage] = useState(initialPage);
+  const page = controlledPage ?? query?.state.page ?? internalPage;
+
+  const setPage = useCallback(
+    (nextPage) => (onPageChange ?? setInternalPage)(nextPage),
+    [onPageChange]
+  );
+
+  const result = useQuery({
+    ...pageQueryOptions({
+      queryKey,
+      url,
+      params,
+      perPage,
+      page,
+      query,
+      responseSchema,
+      apiGroup,
+    }),
+    placeholderData: keepPreviousData,
+    ...options,
+  });
+
+  const data = result.data;
+  const nextPage = data?.nextPage ?? null;
+  const prevPage = data?.prevPage ?? null;
+
+  // Latest values for the prefetch effect, which only re-runs when the key changes
+  const prefetchRef = useRef();
+  prefetchRef.current = {
+    queryKey,
+    url,
+    params,
+    perPage,
+    query,
+    responseSchema,
+    apiGroup,
+    meta: options.meta,
+  };
+  const listHash = hashKey([queryKey, params, perPage, query?.toKey()]);
+
+  useEffect(() => {
+    if (!prefetchNext || !nextPage || result.isPlaceholderData) return;
+
+    const { meta, ...pageOptions } = prefetchRef.current;
+    queryClient.prefetchQuery({
+      ...pageQueryOptions({ ...pageOptions, page: nextPage }),
+      meta,
+    });
+  }, [queryClient, prefetchNext, nextPage, result.isPlaceholderData, listHash]);
+
+  return {
+    ...result,
+    items: data?.items ?? [],
+    page,
+    setPage,
+    pageCount: data?.pageCount ?? null,
+    total: data?.total ?? null,
+    hasNextPage: nextPage != null,
+    hasPrevPage: prevPage != null,
+    goToNextPage: () => nextPage != null && setPage(nextPage),
+    goToPrevPage: () => prevPage != null && setPage(prevPage),
+  };
+}
+
+/**
+ * Infinite list ("Load more" buttons and endless scrolling)
+ * Attach `loadMoreRef` to an element at the end of the list: the next page is
+ * fetched when it comes within `prefetchMargin` of the viewport, so it is
+ * usually loaded before the user reaches the bottom.
+ * @param {object} options - Any useInfiniteQuery option, plus url, queryKey, params,
+ *   perPage, responseSchema and apiGroup (see usePagedList)
+ * @param {string} [options.prefetchMargin] - IntersectionObserver rootMargin (default "400px")
+ *
+ * @example
+ * const { items, loadMoreRef, hasNextPage } = useInfiniteList({ url: "/post", params: { status } });
+ * {items.map(...)}
+ * {hasNextPage && <div ref={loadMoreRef} />}
+ */
+export function useInfiniteList({
+  url,
+  queryKey = [url],
+  params,
+  perPage = DEFAULT_PER_PAGE,
+  prefetchMargin = "400px",
+  responseSchema,
+  apiGroup,
+  ...options
+}) {
+  const api = getApi(apiGroup);
+  const query = useInfiniteQuery({
+    // Different data shape than usePagedList, so never share its cache entries
+    queryKey: [...queryKey, "infinite", { params, perPage }],
+    queryFn: ({ pageParam, signal, meta }) =>
+      api.getPage(url, {
+        page: pageParam,
+        perPage,
+        params,
+        responseSchema,
+        ...queryRequestConfig({ signal, meta }),
+      }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => lastPage.nextPage ?? undefined,
+    getPreviousPageParam: (firstPage) => firstPage.prevPage ?? undefined,
+    ...options,
+  });
+
+  const { data, hasNextPage, isFetchingNextPage, fetchNextPage } = query;
+
+  const items = useMemo(
+    () => data?.pages.flatMap((page) => page.items) ?? [],
+    [data]
+  );
+
+  // Callback ref - observes whichever element is currently attached
+  const observerRef = useRef(null);
+  const loadMoreRef = useCallback(
+    (element) => {
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+      if (!element || typeof IntersectionObserver === "undefined") return;
+
+      observerRef.current = new IntersectionObserver(
+        ([entry]) => {
+          if (entry.isIntersecting && hasNextPage && !isFetchingNextPage) {
+            fetchNextPage();
+          }
+        },
+        { rootMargin: prefetchMargin }
+      );
+      observerRef.current.observe(element);
+    },
+    [hasNextPage, isFetchingNextPage, fetchNextPage, prefetchMargin]
+  );
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  return {
+    ...query,
+    items,
+    total: data?.pages[0]?.total ?? null,
+    loadMoreRef,
+  };
+}
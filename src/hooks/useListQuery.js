@@ -0,0 +1,45 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * List query state kept in the URL
+ * Features: Shareable filtered list links, back/forward through filter changes
+ */
+
+/**
+ * Read and write a list query (see ../lib/queryBuilder) through URL search params
+ * @param {object} definition - Result of defineListQuery
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - Replace the history entry instead of
+ *   pushing one (default true, so typing in a search box does not flood history)
+ * @returns {[object, Function]} The current query and a setter that takes a
+ *   query or an updater `(query) => query`
+ *
+ * @example
+ * const [query, setQuery] = useListQueryParams(userListQuery);
+ * <input value={query.state.search} onChange={(e) => setQuery((q) => q.search(e.target.value))} />
+ */
+export function useListQueryParams(definition, { replace = true } = {}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const query = useMemo(
+    () => definition.fromSearchParams(searchParams),
+    [definition, searchParams]
+  );
+
+  const setQuery = useCallback(
+    (next) => {
+      setSearchParams(
+        (current) => {
+          const nextQuery =
+            typeof next === "function" ? next(definition.fromSearchParams(current)) : next;
+          return nextQuery.toSearchParams();
+        },
+        { replace }
+      );
+    },
+    [definition, setSearchParams, replace]
+  );
+
+  return [query, setQuery];
+}
@@ -0,0 +1,42 @@
+import { useMemo } from "react";
+
+import {
+  getUserPermissions,
+  hasPermission,
+  hasRole,
+  isAuthorized,
+} from "../lib/permissions";
+
+import { useAuthStatus } from "./useAuth";
+
+/**
+ * Permission hooks for in-page access checks
+ * Features: Current user's permissions, role checks, combined requirements
+ */
+
+/**
+ * Permissions of the current user, with check helpers bound to them
+ */
+export function usePermissions() {
+  const { user } = useAuthStatus();
+
+  return useMemo(
+    () => ({
+      role: user?.role ?? null,
+      permissions: getUserPermissions(user),
+      hasRole: (roles) => hasRole(user, roles),
+      hasPermission: (permissions) => hasPermission(user, permissions),
+      isAuthorized: (requirements) => isAuthorized(user, requirements),
+    }),
+    [user]
+  );
+}
+
+/**
+ * Check a single permission (or list of permissions) for the current user
+ * @returns {boolean} True if every permission is granted
+ */
+export function usePermission(permissions) {
+  const { user } = useAuthStatus();
+  return hasPermission(user, permissions);
+}
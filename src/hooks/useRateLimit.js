@@ -0,0 +1,32 @@
+import { useSyncExternalStore } from "react";
+
+import { getRateLimitSnapshot, subscribeToRateLimit } from "../lib/rateLimiter";
+
+/**
+ * Rate limit queue hook
+ * Features: Number of requests waiting for the rate budget, Retry-After pauses
+ */
+
+/**
+ * Requests currently held back by the client-side rate limiter
+ * @param {string} [group] - Only count this API group, e.g. "main" (defaults to
+ *   all groups). Groups on the same Xano instance share one budget, so a burst
+ *   in one can queue requests of another.
+ * @returns {{ queued: number, isWaiting: boolean, pausedUntil: number|null }}
+ *
+ * @example
+ * const { isWaiting, queued } = useRateLimitQueue();
+ * if (isWaiting) return <p>Waiting for rate limit ({queued} queued)…</p>;
+ */
+export function useRateLimitQueue(group) {
+  const snapshot = useSyncExternalStore(subscribeToRateLimit, getRateLimitSnapshot);
+
+  const groups = group
+    ? [snapshot.groups[group]].filter(Boolean)
+    : Object.values(snapshot.groups);
+
+  const queued = groups.reduce((total, entry) => total + entry.queued, 0);
+  const pausedUntil = Math.max(0, ...groups.map((entry) => entry.pausedUntil)) || null;
+
+  return { queued, isWaiting: queued > 0, pausedUntil };
+}
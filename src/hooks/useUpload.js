@@ -0,0 +1,60 @@
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+
+import { UPLOAD_STATUS, createUploadManager } from "../lib/uploads";
+
+/**
+ * Upload hook
+ * Features: Queued uploads with per-file progress, cancel, retry and the
+ * resulting Xano file resources (see ../lib/uploads)
+ */
+
+/**
+ * Upload files through an upload manager owned by the component
+ * Options are read when the manager is created, except the callbacks, which
+ * always use the latest render's values. Unmounting cancels running uploads.
+ * @param {object} options - createUploadManager options (url, accept, maxSize, concurrency, chunkUrl, ...)
+ *
+ * @example
+ * const upload = useUpload({ url: "/upload/image", accept: ["image/*"], onSuccess: (file) => save(file.path) });
+ * <Dropzone upload={upload} />
+ */
+export function useUpload(options) {
+  const callbacksRef = useRef(options);
+  callbacksRef.current = options;
+
+  const [manager] = useState(() =>
+    createUploadManager({
+      ...options,
+      onSuccess: (...args) => callbacksRef.current.onSuccess?.(...args),
+      onError: (...args) => callbacksRef.current.onError?.(...args),
+    })
+  );
+
+  const items = useSyncExternalStore(manager.subscribe, manager.getItems);
+
+  useEffect(() => () => manager.cancelAll(), [manager]);
+
+  const results = useMemo(
+    () =>
+      items
+        .filter((item) => item.status === UPLOAD_STATUS.SUCCESS)
+        .map((item) => item.result),
+    [items]
+  );
+
+  return {
+    items,
+    results,
+    isUploading: items.some((item) =>
+      [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(item.status)
+    ),
+    upload: manager.add,
+    cancel: manager.cancel,
+    cancelAll: manager.cancelAll,
+    retry: manager.retry,
+    remove: manager.remove,
+    clearCompleted: manager.clearCompleted,
+    accept: options.accept,
+    maxSize: options.maxSize,
+  };
+}
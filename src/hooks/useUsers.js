@@ -0,0 +1,45 @@
+import { defineListQuery } from "../lib/queryBuilder";
+import { queryKeys } from "../lib/queryClient";
+import { userResponseSchema, xanoPageResponseSchema } from "../lib/validation";
+
+import { usePagedList } from "./useList";
+
+/**
+ * User list hooks
+ * Features: Paged, filterable user list backed by Xano's /user endpoint
+ * (in the "admin" API group)
+ */
+
+/**
+ * Filterable fields of the /user endpoint (Xano's default user table)
+ * The endpoint needs external paging, sorting and filtering enabled.
+ */
+export const userListQuery = defineListQuery({
+  table: "user",
+  fields: { name: "string", email: "string", created_at: "date" },
+  searchFields: ["name", "email"],
+  defaultSort: [{ field: "created_at", direction: "desc" }],
+});
+
+const userPageSchema = xanoPageResponseSchema(userResponseSchema);
+
+/**
+ * One page of users matching a list query
+ * @param {object} [query] - From userListQuery (e.g. via useListQueryParams)
+ * @param {object} [options] - usePagedList options (onPageChange, prefetchNext, ...)
+ *
+ * @example
+ * const [query, setQuery] = useListQueryParams(userListQuery);
+ * const users = useUserList(query, { onPageChange: (page) => setQuery(query.page(page)) });
+ */
+export function useUserList(query = userListQuery.create(), options = {}) {
+  return usePagedList({
+    url: "/user",
+    // usePagedList appends query.toKey(), giving queryKeys.users.list(query.toKey())
+    queryKey: queryKeys.users.lists(),
+    query,
+    responseSchema: userPageSchema,
+    apiGroup: "admin",
+    ...options,
+  });
+}
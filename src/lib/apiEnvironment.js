@@ -0,0 +1,102 @@
+import { config } from "./config";
+import { deleteCookie } from "./cookies";
+import { SESSION_EVENTS, broadcastSessionEvent } from "./sessionSync";
+
+/**
+ * API groups and environments
+ * Features: Named Xano API groups with base URL, timeout and auth mode,
+ * switchable backend environments (dev, staging, prod) in non-production builds
+ *
+ * Groups are defined in `config.api.groups`; environments in
+ * `config.api.environment` (the instance the env URLs point to) and
+ * `config.api.environments` (extra instances). The chosen environment is kept
+ * in localStorage and applied on the next page load.
+ */
+
+export const AUTH_MODES = {
+  REQUIRED: "required",
+  OPTIONAL: "optional",
+  NONE: "none",
+};
+
+const STORAGE_KEY = "api-environment";
+
+/**
+ * Every known environment - the configured one first
+ * @returns {{ name: string, urls: Record<string, string> }[]} `urls` overrides group base URLs
+ */
+export function getApiEnvironments() {
+  const groupNames = Object.keys(config.api.groups);
+  const extra = Object.entries(config.api.environments ?? {})
+    .filter(([name]) => name !== config.api.environment)
+    .map(([name, urls]) => ({
+      name,
+      urls:
+        typeof urls === "string"
+          ? Object.fromEntries(groupNames.map((group) => [group, urls]))
+          : urls,
+    }));
+
+  return [{ name: config.api.environment, urls: {} }, ...extra];
+}
+
+/**
+ * Production builds always talk to the configured environment
+ */
+export function canSwitchApiEnvironment() {
+  return config.mode !== "production" && getApiEnvironments().length > 1;
+}
+
+/**
+ * Name of the environment requests go to
+ */
+export function getActiveApiEnvironment() {
+  if (!canSwitchApiEnvironment()) return config.api.environment;
+
+  let stored = null;
+  try {
+    stored = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    // Storage blocked - stay on the configured environment
+  }
+  const known = getApiEnvironments().some((environment) => environment.name === stored);
+  return known ? stored : config.api.environment;
+}
+
+/**
+ * Switch environments and reload
+ * Tokens belong to one backend, so the session ends in every tab.
+ */
+export function setActiveApiEnvironment(name) {
+  if (!canSwitchApiEnvironment() || name === getActiveApiEnvironment()) return;
+
+  localStorage.setItem(STORAGE_KEY, name);
+  deleteCookie("authToken");
+  deleteCookie("refreshToken");
+  broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+  window.location.assign("/login");
+}
+
+/**
+ * Resolved settings of one API group in the active environment
+ * @param {string} [name] - Group name (defaults to `config.api.defaultGroup`)
+ * @returns {{ name: string, baseUrl: string, timeout: number, auth: string }}
+ */
+export function getApiGroupConfig(name = config.api.defaultGroup) {
+  const group = config.api.groups[name];
+  if (!group) {
+    throw new Error(
+      `Unknown API group "${name}" - expected one of: ${Object.keys(config.api.groups).join(", ")}`
+    );
+  }
+
+  const activeName = getActiveApiEnvironment();
+  const environment = getApiEnvironments().find((entry) => entry.name === activeName);
+
+  return {
+    name,
+    auth: group.auth,
+    baseUrl: environment?.urls[name] ?? group.baseUrl ?? config.api.baseUrl,
+    timeout: group.timeout ?? config.api.timeout,
+  };
+}
@@ -1,41 +1,43 @@
+import { parseEnv } from "./envSchema";
+
 /**
  * Environment configuration utility
- * Features: Centralized env var access, validation, type conversion
+ * Features: Schema-validated env vars (see ./envSchema), unknown key reports,
+ * typed config object, frozen once startup completes
+ *
+ * Values here are the build-time defaults. At startup, /config.json can
+ * override them per deployment (see ./runtimeConfig), then the config is
+ * frozen - read settings from `config` when they are used rather than copying
+ * them at import time.
  */
 
-/**
- * Get environment variable with optional default value
- * @param {string} key - Environment variable key
- * @param {any} defaultValue - Default value if env var is not set
- * @returns {string|undefined} Environment variable value
- */
-function getEnv(key, defaultValue = undefined) {
-  return import.meta.env[key] ?? defaultValue;
-}
+const { values: env, issues: envIssues, unknownKeys } = parseEnv(import.meta.env);
 
 /**
- * Get boolean environment variable
- * @param {string} key - Environment variable key
- * @param {boolean} defaultValue - Default boolean value
- * @returns {boolean} Boolean value
+ * Startup configuration that cannot be used - rendered by the boot error screen
+ * `issues` lists every invalid setting: `[{ path: "VITE_API_TIMEOUT", message }]`
  */
-function getBooleanEnv(key, defaultValue = false) {
-  const value = getEnv(key);
-  if (value === undefined) return defaultValue;
-  return value === "true" || value === "1" || value === "yes";
+export class ConfigError extends Error {
+  constructor(message, { issues, cause } = {}) {
+    super(message, { cause });
+    this.name = "ConfigError";
+    this.issues = issues ?? [];
+  }
 }
 
 /**
- * Get number environment variable
- * @param {string} key - Environment variable key
- * @param {number} defaultValue - Default number value
- * @returns {number} Number value
+ * One Xano API group - VITE_API_<NAME>_URL / VITE_API_<NAME>_TIMEOUT
+ * Unset values fall back to `api.baseUrl` / `api.timeout` (see ./apiEnvironment)
+ * @param {string} name - Group name
+ * @param {"required"|"optional"|"none"} auth - Bearer token handling (see ./apiEnvironment)
  */
-function getNumberEnv(key, defaultValue = 0) {
-  const value = getEnv(key);
-  if (value === undefined) return defaultValue;
-  const parsed = parseInt(value, 10);
-  return isNaN(parsed) ? defaultValue : parsed;
+function apiGroup(name, auth) {
+  const key = name.toUpperCase();
+  return {
+    baseUrl: env[`VITE_API_${key}_URL`],
+    timeout: env[`VITE_API_${key}_TIMEOUT`],
+    auth,
+  };
 }
 
 /**
@@ -47,41 +49,144 @@ export const config = {
   isProduction: import.meta.env.PROD,
   mode: import.meta.env.MODE,
 
+  app: {
+    name: env.VITE_APP_NAME,
+    release: env.VITE_APP_RELEASE ?? null,
+  },
+
+  // Deployment settings fetched at startup ("" skips the request)
+  runtimeConfigUrl: env.VITE_RUNTIME_CONFIG_URL,
+
   // API Configuration
   api: {
-    baseUrl: getEnv("VITE_API_BASE_URL", "/api"),
-    timeout: getNumberEnv("VITE_API_TIMEOUT", 10000),
+    baseUrl: env.VITE_API_BASE_URL,
+    // Serve every request from the in-browser mock API (src/mocks) - no backend needed
+    mock: env.VITE_API_MOCK,
+    // Simulated network latency for mock responses, in milliseconds
+    mockLatency: env.VITE_MOCK_LATENCY_MS,
+    timeout: env.VITE_API_TIMEOUT,
+    // Xano API groups, each with its own base URL (`.../api:AbCdEf`). Services
+    // pick theirs with getApi("admin"); "main" is used when none is named.
+    // auth - "required": send the token, fail fast without a session;
+    //        "optional": send it when there is one; "none": never send it
+    groups: {
+      auth: apiGroup("auth", "optional"),
+      main: apiGroup("main", "required"),
+      admin: apiGroup("admin", "required"),
+    },
+    defaultGroup: "main",
+    // Name of the instance the URLs above point to, and other instances the
+    // environment switcher offers in non-production builds, as JSON:
+    // {"staging": "https://staging.example.com/api:main", "prod": {"auth": "...", "main": "..."}}
+    // A string applies to every group; an object sets URLs per group.
+    environment: env.VITE_API_ENVIRONMENT ?? import.meta.env.MODE,
+    environments: env.VITE_API_ENVIRONMENTS ?? {},
+    // Response schema checks (see ./responseValidation): "strict" rejects
+    // mismatching responses, "log" reports them and continues, "off" skips them
+    responseValidation:
+      env.VITE_RESPONSE_VALIDATION ?? (import.meta.env.DEV ? "strict" : "log"),
+    // Client-side budget per Xano instance, shared by its API groups:
+    // `requests` per `intervalSeconds` (Xano's free plan allows 10 requests
+    // per 20 seconds). 0 disables it.
+    rateLimit: {
+      requests: env.VITE_RATE_LIMIT_REQUESTS,
+      intervalSeconds: env.VITE_RATE_LIMIT_INTERVAL_SECONDS,
+      // How often a 429 is retried (honoring Retry-After) before it fails
+      maxRetries: env.VITE_RATE_LIMIT_MAX_RETRIES,
+    },
+  },
+
+  // Auth Configuration
+  auth: {
+    // Auth endpoint flavour (see src/services/authProviders) - demo data comes
+    // from the mock API, not from a separate provider
+    provider: env.VITE_AUTH_PROVIDER,
+    // Minutes before token expiry to show the "session about to expire" dialog
+    expiryWarningMinutes: env.VITE_SESSION_WARNING_MINUTES,
+    // Minutes of inactivity before automatic logout (0 disables it).
+    // Users with `preferences.idleTimeoutMinutes` set by an admin override this.
+    idleTimeoutMinutes: env.VITE_IDLE_TIMEOUT_MINUTES,
+    // Seconds of countdown warning shown before the idle logout
+    idleWarningSeconds: env.VITE_IDLE_WARNING_SECONDS,
+  },
+
+  // Auth cookies (see ./cookies)
+  cookies: {
+    secure: env.VITE_COOKIE_SECURE ?? import.meta.env.PROD,
+  },
+
+  // Error reports (see ./errorReporting)
+  errorReporting: {
+    // Reports are POSTed here; without it they only go to the console
+    url: env.VITE_ERROR_REPORTING_URL ?? null,
+    // Share of errors reported, 0-1
+    sampleRate: env.VITE_ERROR_REPORTING_SAMPLE_RATE,
   },
 
   // Feature Flags
   features: {
-    debug: getBooleanEnv("VITE_ENABLE_DEBUG", true),
+    debug: env.VITE_ENABLE_DEBUG,
   },
 };
 
 /**
- * Validate required environment variables
- * Call this during app initialization to catch missing config early
+ * Validate required settings
+ * Called at startup, after /config.json is applied (see ./runtimeConfig)
+ * @throws {ConfigError} For invalid env values, and in production for missing ones
  */
 export function validateConfig() {
-  const required = ["VITE_API_BASE_URL"];
+  unknownKeys.forEach(({ key, suggestion }) => {
+    const hint = suggestion ? ` Did you mean ${suggestion}?` : "";
+    console.warn(`⚠️  Unknown environment variable ${key} is ignored.${hint}`);
+  });
+
+  if (envIssues.length > 0) {
+    throw new ConfigError("Invalid environment variables", { issues: envIssues });
+  }
+
+  // The mock API needs no backend; groups without their own URL use the base URL
+  const needsBaseUrl =
+    !config.api.mock &&
+    Object.values(config.api.groups).some((group) => !group.baseUrl);
 
-  const missing = required.filter((key) => !getEnv(key));
+  const missing = needsBaseUrl && !config.api.baseUrl ? ["VITE_API_BASE_URL"] : [];
 
   if (missing.length > 0) {
-    const message = `Missing required environment variables: ${missing.join(
+    const message = `Missing required settings: ${missing.join(
       ", "
-    )}`;
+    )} (or api.baseUrl in /config.json)`;
     console.error(message);
 
     if (config.isProduction) {
-      throw new Error(message);
+      throw new ConfigError(message, {
+        issues: missing.map((key) => ({ path: key, message: "Required" })),
+      });
     } else {
       console.warn(
         "⚠️  Some environment variables are missing. Check .env.example for reference."
       );
     }
   }
+
+  if (config.isProduction && config.api.mock) {
+    console.warn(
+      "⚠️  Production build is using the mock API. Set VITE_API_MOCK=false to use your backend."
+    );
+  }
+}
+
+function deepFreeze(value) {
+  Object.values(value).forEach((child) => {
+    if (typeof child === "object" && child !== null) deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+/**
+ * Make `config` read-only - called once startup has applied /config.json
+ */
+export function freezeConfig() {
+  deepFreeze(config);
 }
 
 /**
@@ -92,14 +197,13 @@ export function logConfig() {
     console.group("🔧 Application Configuration");
     console.log("Environment:", config.mode);
     console.log("API Base URL:", config.api.baseUrl);
+    console.log("API Environment:", config.api.environment);
+    console.log("Mock API:", config.api.mock);
+    console.log("Auth Provider:", config.auth.provider);
     console.log("Features:", config.features);
     console.log("Full config:", config);
     console.groupEnd();
   }
 }
 
-// Auto-validate and log on import
-validateConfig();
-logConfig();
-
 export default config;
@@ -6,7 +6,7 @@
 import { config } from './config'
 
 const COOKIE_CONFIG = {
-  secure: config.isProduction, // HTTPS only in production
+  secure: config.cookies.secure, // HTTPS only (VITE_COOKIE_SECURE, on in production)
   sameSite: 'strict', // CSRF protection
   path: '/', // Available site-wide
   maxAge: 7 * 24 * 60 * 60, // 7 days in seconds
@@ -0,0 +1,53 @@
+/**
+ * Download helpers
+ * Features: Content-Disposition filename parsing, saving Blobs as files
+ */
+
+/**
+ * Filename from a Content-Disposition header
+ * Prefers the RFC 5987 `filename*=UTF-8''...` form (non-ASCII names) over `filename=`.
+ * @returns {string|null}
+ */
+export function getFilenameFromContentDisposition(header) {
+  if (!header) return null;
+
+  const encoded = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[2].trim().replace(/^"|"$/g, ""));
+    } catch {
+      // Malformed encoding - fall back to the plain filename
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  const filename = plain ? (plain[2] ?? plain[1]).trim() : null;
+  return filename || null;
+}
+
+/**
+ * Last path segment of a URL, used when the server sends no filename
+ */
+export function getFilenameFromUrl(url) {
+  const path = String(url ?? "").split(/[?#]/)[0];
+  const segment = path.split("/").filter(Boolean).pop();
+  return segment ? decodeURIComponent(segment) : null;
+}
+
+/**
+ * Save a Blob through the browser's download prompt
+ */
+export function saveBlob(blob, filename = "download") {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  link.style.display = "none";
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Some browsers read the URL after click() returns
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+}
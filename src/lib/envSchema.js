@@ -0,0 +1,281 @@
+import { z } from "zod";
+
+/**
+ * Environment variable schema
+ * Features: Every supported VITE_ setting with its type, default and
+ * description, string coercion, per-setting errors, unknown key detection
+ *
+ * The single source of truth for build-time settings: ./config reads them
+ * through parseEnv, and `npm run env:example` writes .env.example from the
+ * metadata below (`-- --check` fails when the file is out of date). To add a
+ * setting, add it here, regenerate .env.example and read it in ./config.
+ *
+ * Only depends on zod, so the generator can import it under Node.
+ *
+ * Metadata:
+ * - section:     .env.example heading (settings are listed in schema order)
+ * - description: comment above the line; settings without one are listed
+ *                directly under the previous setting
+ * - example:     value shown in .env.example instead of the default
+ * - required:    listed uncommented even without a default
+ */
+
+// Empty values (`VITE_API_TIMEOUT=`) count as unset
+const blankToUndefined = (value) => (value === "" ? undefined : value);
+
+/**
+ * One setting - optional unless it has a default
+ * @param {z.ZodType} schema - Schema for the (string) env value
+ * @param {object} options - Metadata (see above), plus:
+ * @param {any} [options.default] - Value used when the variable is unset
+ * @param {boolean} [options.keepBlank] - Pass empty values to the schema instead of treating them as unset
+ */
+function setting(schema, { default: defaultValue, keepBlank = false, ...meta }) {
+  const withDefault =
+    defaultValue === undefined ? schema.optional() : schema.default(defaultValue);
+  const parsed = keepBlank ? withDefault : z.preprocess(blankToUndefined, withDefault);
+  return parsed.meta(meta);
+}
+
+const string = () => z.string().trim().min(1);
+const integer = (min = 0) => z.coerce.number().int().min(min);
+const boolean = () => z.stringbool();
+
+/**
+ * JSON-encoded value, checked against `schema` after parsing
+ */
+function json(schema) {
+  return z
+    .string()
+    .transform((value, context) => {
+      try {
+        return JSON.parse(value);
+      } catch {
+        context.addIssue({ code: "custom", message: "Invalid JSON" });
+        return z.NEVER;
+      }
+    })
+    .pipe(schema);
+}
+
+const API = "API Configuration (Required)";
+const RUNTIME = "Runtime Configuration (Optional)";
+const AUTH = "Auth Configuration (Optional)";
+const APP = "Application Settings (Optional)";
+const ERRORS = "Error Reporting (Optional)";
+const PRODUCTION = "Production Settings (Optional)";
+
+export const envSchema = z.object({
+  VITE_API_BASE_URL: setting(string(), {
+    section: API,
+    description:
+      "Base URL for your backend API (e.g., Xano endpoint)\n" +
+      "Can instead be set per deployment in /config.json (see VITE_RUNTIME_CONFIG_URL)",
+    example: "https://your-xano-instance.com/api/v1",
+    required: true,
+  }),
+  VITE_API_TIMEOUT: setting(integer(1), {
+    default: 10000,
+    section: API,
+    description: "Request timeout in milliseconds",
+  }),
+  VITE_API_AUTH_URL: setting(string(), {
+    section: API,
+    description:
+      "Xano API groups - each group has its own base URL (.../api:AbCdEf) and can\n" +
+      "override the timeout. Groups without a URL use VITE_API_BASE_URL and\n" +
+      "VITE_API_TIMEOUT.",
+    example: "https://your-xano-instance.com/api:auth",
+  }),
+  VITE_API_MAIN_URL: setting(string(), {
+    section: API,
+    example: "https://your-xano-instance.com/api:main",
+  }),
+  VITE_API_ADMIN_URL: setting(string(), {
+    section: API,
+    example: "https://your-xano-instance.com/api:admin",
+  }),
+  VITE_API_AUTH_TIMEOUT: setting(integer(1), { section: API, example: "10000" }),
+  VITE_API_MAIN_TIMEOUT: setting(integer(1), { section: API, example: "10000" }),
+  VITE_API_ADMIN_TIMEOUT: setting(integer(1), { section: API, example: "30000" }),
+  VITE_API_ENVIRONMENT: setting(string(), {
+    section: API,
+    description: "Name of the backend the URLs above point to (default: the Vite mode)",
+    example: "dev",
+  }),
+  VITE_API_ENVIRONMENTS: setting(
+    json(z.record(z.string(), z.union([string(), z.record(z.string(), string())]))),
+    {
+      section: API,
+      description:
+        "Other backends offered by the environment switcher in non-production builds,\n" +
+        "as JSON - a URL for every group, or URLs per group",
+      example:
+        '{"staging":"https://staging.example.com/api:main","prod":{"auth":"https://x.xano.io/api:auth","main":"https://x.xano.io/api:main"}}',
+    }
+  ),
+  VITE_API_MOCK: setting(boolean(), {
+    default: true,
+    section: API,
+    description:
+      "Serve all requests from the in-browser mock API with demo data\n" +
+      "Set to false to talk to VITE_API_BASE_URL",
+  }),
+  VITE_MOCK_LATENCY_MS: setting(integer(), {
+    default: 400,
+    section: API,
+    description: "Average simulated latency of mock responses in ms",
+  }),
+  VITE_RATE_LIMIT_REQUESTS: setting(integer(), {
+    default: 10,
+    section: API,
+    description:
+      "Client-side rate budget per Xano instance (shared by all API groups) -\n" +
+      "requests allowed per interval.\n" +
+      "Requests over budget wait in a queue instead of failing with 429.\n" +
+      "Match your Xano plan's limit; 0 disables budgeting (always off with VITE_API_MOCK)",
+  }),
+  VITE_RATE_LIMIT_INTERVAL_SECONDS: setting(integer(1), { default: 20, section: API }),
+  VITE_RATE_LIMIT_MAX_RETRIES: setting(integer(), {
+    default: 3,
+    section: API,
+    description: "Times a 429 is retried, honoring Retry-After, before it fails",
+  }),
+  VITE_RESPONSE_VALIDATION: setting(z.enum(["strict", "log", "off"]), {
+    section: API,
+    description:
+      "Response schema checks: strict (reject mismatching responses), log (report\n" +
+      "and continue) or off (default: strict in development, log in production)",
+    example: "log",
+  }),
+
+  VITE_RUNTIME_CONFIG_URL: setting(z.string().trim(), {
+    default: "/config.json",
+    keepBlank: true,
+    section: RUNTIME,
+    description:
+      "Settings fetched at startup and merged over these build-time values, so one\n" +
+      "build can serve every environment. An empty value skips the request.",
+  }),
+  VITE_CSP_CONNECT_SRC: setting(string(), {
+    section: RUNTIME,
+    description:
+      "Extra Content-Security-Policy connect-src origins (space separated) - list the\n" +
+      "API origins that /config.json may point to. Read by vite.config.js.",
+    example: "https://x8ki-letl-twmt.n7.xano.io",
+  }),
+
+  VITE_AUTH_PROVIDER: setting(string(), {
+    default: "xano",
+    section: AUTH,
+    description: "Auth provider - the Xano auth endpoints",
+  }),
+  VITE_SESSION_WARNING_MINUTES: setting(integer(), {
+    default: 5,
+    section: AUTH,
+    description: "Minutes before token expiry to warn the user",
+  }),
+  VITE_IDLE_TIMEOUT_MINUTES: setting(integer(), {
+    default: 30,
+    section: AUTH,
+    description:
+      "Minutes of inactivity before automatic logout, 0 disables it\n" +
+      "An admin-set preferences.idleTimeoutMinutes on the user overrides this",
+  }),
+  VITE_IDLE_WARNING_SECONDS: setting(integer(), {
+    default: 60,
+    section: AUTH,
+    description: "Seconds of countdown warning before the idle logout",
+  }),
+
+  VITE_APP_NAME: setting(string(), {
+    default: "React SPA Template",
+    section: APP,
+    description: "Application name displayed in the UI and the browser tab",
+    example: "My React App",
+  }),
+  VITE_ENABLE_DEBUG: setting(boolean(), {
+    default: true,
+    section: APP,
+    description: "Log the resolved configuration to the console in development",
+  }),
+  VITE_APP_RELEASE: setting(string(), {
+    section: APP,
+    description: "Release attached to error reports, e.g. the git commit set by CI",
+    example: "1.4.2",
+  }),
+
+  VITE_ERROR_REPORTING_URL: setting(string(), {
+    section: ERRORS,
+    description:
+      "Endpoint error reports are POSTed to as JSON. Without it reports are only\n" +
+      "logged to the console. `npm run dev` serves a stub at /__error-reports.",
+    example: "/__error-reports",
+  }),
+  VITE_ERROR_REPORTING_SAMPLE_RATE: setting(z.coerce.number().min(0).max(1), {
+    default: 1,
+    section: ERRORS,
+    description: "Share of errors reported, from 0 (none) to 1 (all)",
+  }),
+
+  VITE_COOKIE_SECURE: setting(boolean(), {
+    section: PRODUCTION,
+    description: "Send auth cookies over HTTPS only (default: true in production builds)",
+    example: "true",
+  }),
+});
+
+/** @typedef {z.output<typeof envSchema>} Env */
+
+/**
+ * Edit distance, for "did you mean" hints on misspelled keys
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The known setting closest to a misspelled key, if any is close
+ */
+function suggestKey(key) {
+  const [closest] = Object.keys(envSchema.shape)
+    .map((known) => ({ known, score: distance(key, known) }))
+    .sort((a, b) => a.score - b.score);
+  return closest && closest.score <= 3 ? closest.known : null;
+}
+
+/**
+ * Parse env variables against the schema, one setting at a time
+ * An invalid value is reported and replaced by its default, so every other
+ * setting still resolves.
+ * @param {Record<string, string>} env - e.g. import.meta.env
+ * @returns {{ values: Env, issues: { path: string, message: string }[], unknownKeys: { key: string, suggestion: string|null }[] }}
+ */
+export function parseEnv(env) {
+  const values = {};
+  const issues = [];
+
+  Object.entries(envSchema.shape).forEach(([key, schema]) => {
+    let result = schema.safeParse(env[key]);
+    if (!result.success) {
+      issues.push({ path: key, message: `${result.error.issues[0].message} (got "${env[key]}")` });
+      result = schema.safeParse(undefined);
+    }
+    values[key] = result.data;
+  });
+
+  const unknownKeys = Object.keys(env)
+    .filter((key) => key.startsWith("VITE_") && !(key in envSchema.shape))
+    .map((key) => ({ key, suggestion: suggestKey(key) }));
+
+  return { values, issues, unknownKeys };
+}
@@ -0,0 +1,235 @@
+import { config } from "./config";
+import { createConsoleTransport, createHttpTransport } from "./errorTransports";
+
+/**
+ * Error reporting pipeline
+ * Features: Pluggable transports, breadcrumbs (navigation, API calls, clicks),
+ * user/release/route context, PII scrubbing, sampling, de-duplication
+ *
+ * Errors reach captureException from the error boundary (App.jsx), the global
+ * handlers (main.jsx) and failed API calls (./axios). Each becomes a report:
+ *   { id, timestamp, source, name, message, stack, release, environment,
+ *     route, url, user: { id }, breadcrumbs, extra }
+ * which is sampled, scrubbed and handed to every transport.
+ *
+ * A transport is `{ name, send(report) }` - `send` may return a promise; its
+ * failures are swallowed (see ./errorTransports). initErrorReporting()
+ * installs the console and HTTP transports from `config.errorReporting`;
+ * register others (e.g. a Sentry bridge) with addTransport().
+ */
+
+const MAX_BREADCRUMBS = 50;
+const MAX_QUEUED_REPORTS = 20;
+const MAX_DEPTH = 6;
+const FILTERED = "[Filtered]";
+
+// Keys whose values never leave the browser, matched as whole words of the key
+// (see isSensitiveKey): password, accessToken, refresh_token, X-API-Key, apiKey,
+// Set-Cookie, sessionId, credit_card, cardNumber, user_email, phoneNumber - but
+// not compass, tokenizer, cardinality or sessions
+const SENSITIVE_KEY =
+  /(^|_)(pass|passwd|password|secret|token|authorization|cookie|session|api_?key|credit_?card|card_?number|cvv|cvc|ssn|email|phone)(_|$)/i;
+
+/**
+ * Whether a key names a sensitive value
+ * camelCase, kebab-case and header names are split into `_` separated words first.
+ */
+function isSensitiveKey(key) {
+  const words = key
+    .replace(/([a-z\d])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z])([A-Z][a-z])/g, "$1_$2")
+    .replace(/[-.\s]+/g, "_");
+  return SENSITIVE_KEY.test(words);
+}
+
+// Sensitive values inside free text (messages, stacks, URLs, breadcrumbs)
+const SENSITIVE_TEXT = [
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, "[email]"],
+  [/\bBearer\s+[\w.~+/-]+=*/gi, "Bearer [token]"],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[jwt]"],
+  [/([?&][^=&#\s]*(?:token|password|secret|key|code|email)[^=&#\s]*=)[^&#\s]*/gi, `$1${FILTERED}`],
+];
+
+const transports = new Set();
+const breadcrumbs = [];
+// Errors already reported - an API error is captured by ./axios and may
+// surface again as an unhandled rejection
+const reported = new WeakSet();
+// Reports captured before initErrorReporting(), sent once transports exist
+let queue = [];
+let isInitialized = false;
+
+const context = {
+  route: null,
+  userId: null,
+};
+
+/**
+ * Replace sensitive substrings in a string
+ */
+export function scrubText(text) {
+  return SENSITIVE_TEXT.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Copy of a value with sensitive keys filtered and sensitive text replaced
+ * Circular references and deep nesting are cut off.
+ */
+export function scrub(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return scrubText(value);
+  if (typeof value !== "object" || value === null) return value;
+  if (depth >= MAX_DEPTH || seen.has(value)) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => scrub(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [
+      key,
+      isSensitiveKey(key) ? FILTERED : scrub(child, depth + 1, seen),
+    ])
+  );
+}
+
+/**
+ * Register a transport
+ * @param {{ name: string, send: (report: object) => void|Promise<void> }} transport
+ * @returns {Function} Remove the transport again
+ */
+export function addTransport(transport) {
+  transports.add(transport);
+  return () => transports.delete(transport);
+}
+
+/**
+ * Record something that happened before an error
+ * @param {{ type: "navigation"|"http"|"click"|string, message: string, data?: object }} breadcrumb
+ */
+export function addBreadcrumb({ type, message, data }) {
+  breadcrumbs.push({ type, message, data, timestamp: new Date().toISOString() });
+  if (breadcrumbs.length > MAX_BREADCRUMBS) breadcrumbs.shift();
+}
+
+/**
+ * Current route and user, attached to every report (see useErrorReportingContext)
+ * @param {{ route?: string, userId?: string|number|null }} values
+ */
+export function setReportingContext(values) {
+  Object.assign(context, values);
+}
+
+function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function toError(value) {
+  if (value instanceof Error) return value;
+  return new Error(typeof value === "string" ? value : `Non-error thrown: ${JSON.stringify(value)}`);
+}
+
+function buildReport(error, { source, extra }) {
+  return scrub({
+    id: createId(),
+    timestamp: new Date().toISOString(),
+    source,
+    name: error.name,
+    message: error.message,
+    stack: error.stack ?? null,
+    // ApiError and friends describe the failed request (see ./errors)
+    error: typeof error.toJSON === "function" ? error.toJSON() : undefined,
+    release: config.app.release,
+    environment: config.api.environment,
+    route: context.route ?? window.location.pathname,
+    url: window.location.href,
+    user: context.userId == null ? null : { id: context.userId },
+    breadcrumbs: [...breadcrumbs],
+    extra,
+  });
+}
+
+function send(report) {
+  transports.forEach((transport) => {
+    Promise.resolve()
+      .then(() => transport.send(report))
+      .catch((error) => {
+        // A failing transport must never cause another report
+        if (config.isDevelopment) {
+          console.warn(`Error transport "${transport.name}" failed:`, error);
+        }
+      });
+  });
+}
+
+/**
+ * Report an error
+ * @param {unknown} value - Error (anything else is wrapped in one)
+ * @param {object} [options]
+ * @param {"boundary"|"global"|"unhandledrejection"|"api"|"startup"|"manual"} [options.source]
+ * @param {object} [options.extra] - Additional data, scrubbed like the rest of the report
+ * @returns {string|null} Report id, or null when the error was sampled out or already reported
+ *
+ * @example
+ * captureException(error, { extra: { projectId } })
+ */
+export function captureException(value, { source = "manual", extra } = {}) {
+  const error = toError(value);
+  if (reported.has(error)) return null;
+  reported.add(error);
+
+  if (Math.random() >= config.errorReporting.sampleRate) return null;
+
+  const report = buildReport(error, { source, extra });
+
+  if (!isInitialized) {
+    queue = [...queue, report].slice(-MAX_QUEUED_REPORTS);
+  } else {
+    send(report);
+  }
+
+  return report.id;
+}
+
+/**
+ * Short description of a clicked element - "button#save 'Save'"
+ */
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : "";
+  const label = (element.getAttribute("aria-label") ?? element.textContent ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, 40);
+  return `${element.tagName.toLowerCase()}${id}${label ? ` '${label}'` : ""}`;
+}
+
+function handleClick(event) {
+  const element = event.target?.closest?.("button, a, [role='button'], input[type='submit']");
+  if (element) {
+    addBreadcrumb({ type: "click", message: describeElement(element) });
+  }
+}
+
+/**
+ * Install the configured transports, start click breadcrumbs and send the
+ * reports captured so far
+ * Call once `config` is final (after initConfig - see main.jsx).
+ */
+export function initErrorReporting() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  const { url } = config.errorReporting;
+
+  // Without an endpoint the console is the only place reports can go
+  if (config.isDevelopment || !url) addTransport(createConsoleTransport());
+  if (url) addTransport(createHttpTransport({ url }));
+
+  document.addEventListener("click", handleClick, { capture: true, passive: true });
+
+  queue.forEach(send);
+  queue = [];
+}
@@ -0,0 +1,105 @@
+import toast from "react-hot-toast";
+
+import { NetworkError, isCancelError } from "./errors";
+
+/**
+ * Error toast policy
+ * Features: Per-request/per-query toast options, default messages, burst deduplication
+ *
+ * Options (on an axios request config, or on React Query `meta`):
+ * - silent: true            → never toast this error
+ * - toastOn: [404, 500]     → only toast these statuses ("network" for no response)
+ * - errorMessages: { 404: "User not found", network: "...", default: "..." }
+ *   Values may be strings or `(error) => string`.
+ *
+ * Each error is toasted at most once: the HTTP layer toasts first, and the
+ * React Query cache handlers only toast errors it did not surface.
+ */
+
+export const TOAST_OPTION_KEYS = ["silent", "toastOn", "errorMessages"];
+
+const DEFAULT_MESSAGES = {
+  network: "Network error. Please check your connection.",
+  403: "Access denied. You do not have permission.",
+  404: "Resource not found.",
+  429: "Too many requests. Please wait and try again.",
+  server: "Server error. Please try again later.",
+  client: "Request failed. Please check your input.",
+};
+
+/**
+ * Pick the toast options out of a request config or query/mutation meta
+ */
+export function pickToastOptions(source) {
+  if (!source) return {};
+  return Object.fromEntries(
+    TOAST_OPTION_KEYS.filter((key) => source[key] !== undefined).map((key) => [
+      key,
+      source[key],
+    ])
+  );
+}
+
+/**
+ * Key used by `toastOn` and `errorMessages` for an error
+ */
+function getErrorKey(error) {
+  if (error instanceof NetworkError) return "network";
+  return error?.status ?? "unknown";
+}
+
+/**
+ * Decide whether an error should be toasted
+ */
+export function shouldToastError(error, { silent, toastOn } = {}) {
+  if (!error || silent || error.notified || isCancelError(error)) return false;
+  if (Array.isArray(toastOn)) return toastOn.includes(getErrorKey(error));
+  return true;
+}
+
+/**
+ * Resolve the toast text for an error
+ */
+export function getErrorToastMessage(error, { errorMessages } = {}) {
+  const key = getErrorKey(error);
+  const custom = errorMessages?.[key] ?? errorMessages?.default;
+
+  if (custom) {
+    return typeof custom === "function" ? custom(error) : custom;
+  }
+
+  const status = error?.status;
+
+  if (key === "network") return DEFAULT_MESSAGES.network;
+  if (DEFAULT_MESSAGES[status]) return DEFAULT_MESSAGES[status];
+  if (status >= 500) return DEFAULT_MESSAGES.server;
+  // Generic client error with server message if available
+  if (status >= 400) return error.data?.message || DEFAULT_MESSAGES.client;
+  return error?.message || DEFAULT_MESSAGES.client;
+}
+
+/**
+ * Flag an error as already shown to the user, so the query and mutation caches
+ * do not toast it again (e.g. after the session-expired toast)
+ */
+export function markNotified(error) {
+  // Not enumerable so it stays out of logs and JSON dumps
+  Object.defineProperty(error, "notified", { value: true, configurable: true });
+  return error;
+}
+
+/**
+ * Show an error toast according to the given options
+ * Identical messages share a toast id, so bursts (parallel queries, retries)
+ * collapse into a single toast instead of stacking up.
+ * @returns {boolean} True if a toast was shown
+ */
+export function notifyError(error, options = {}) {
+  if (!shouldToastError(error, options)) return false;
+
+  const message = getErrorToastMessage(error, options);
+  toast.error(message, { id: `error:${message}` });
+
+  markNotified(error);
+  return true;
+}
@@ -0,0 +1,49 @@
+/**
+ * Error report transports
+ * Features: Console transport, HTTP transport (JSON POST, survives page unloads)
+ *
+ * Transports receive finished reports from ./errorReporting - already scrubbed
+ * and sampled - and only decide where they go.
+ */
+
+/**
+ * Log reports to the browser console
+ */
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    send(report) {
+      console.groupCollapsed(`🚨 [${report.source}] ${report.name}: ${report.message}`);
+      console.error(report.stack ?? report.message);
+      console.log("Report:", report);
+      console.groupEnd();
+    },
+  };
+}
+
+/**
+ * POST reports as JSON to an endpoint
+ * Sent with `keepalive`, so reports from a page that is being left still
+ * arrive, and without credentials - the endpoint needs no session.
+ * @param {object} options
+ * @param {string} options.url - Collector endpoint (`config.errorReporting.url`)
+ * @param {object} [options.headers] - Extra headers, e.g. a project key
+ */
+export function createHttpTransport({ url, headers = {} }) {
+  return {
+    name: "http",
+    async send(report) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(report),
+        credentials: "omit",
+        keepalive: true,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Error report rejected (HTTP ${response.status})`);
+      }
+    },
+  };
+}
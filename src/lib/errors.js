@@ -0,0 +1,272 @@
+/**
+ * API error normalization
+ * Features: Typed error classes, Xano error body parsing, form field error mapping
+ *
+ * Xano error bodies look like:
+ *   { code: "ERROR_CODE_INPUT_ERROR", message: "Missing param: email", payload: { param: "email" } }
+ * Every failed request is turned into one of the classes below, which keep the
+ * `{ message, status, statusText, data, url, method }` shape components already use.
+ */
+
+/**
+ * Base class for every failed API request
+ */
+export class ApiError extends Error {
+  constructor(
+    message,
+    { status, statusText, code, data, url, method, fieldErrors, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.code = code;
+    this.data = data;
+    this.url = url;
+    this.method = method;
+    this.fieldErrors = fieldErrors ?? {};
+  }
+
+  /**
+   * Plain representation for logging and debug panels
+   * (Error's own `message` is not enumerable, so JSON.stringify would drop it)
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      statusText: this.statusText,
+      code: this.code,
+      url: this.url,
+      method: this.method,
+      fieldErrors: this.fieldErrors,
+      data: this.data,
+    };
+  }
+}
+
+/**
+ * Invalid input (400/422, Xano ERROR_CODE_INPUT_ERROR)
+ */
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Missing/expired credentials or insufficient access (401/403)
+ */
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * Resource does not exist (404)
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Rate limit exceeded (429)
+ * `retryAfter` is the server's Retry-After hint in milliseconds, if any
+ */
+export class RateLimitedError extends ApiError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.name = "RateLimitedError";
+    this.retryAfter = retryAfter ?? null;
+  }
+}
+
+/**
+ * No response received - offline, DNS, CORS or timeout
+ */
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * Response body does not match the schema its service declared (schema drift)
+ * `issues` lists every failing path: `[{ path: "items[0].email", message }]`
+ */
+export class ResponseSchemaError extends ApiError {
+  constructor(message, { issues, ...options } = {}) {
+    super(message, options);
+    this.name = "ResponseSchemaError";
+    this.issues = issues ?? [];
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), issues: this.issues };
+  }
+}
+
+/** Xano's error code for each HTTP status (used to build Xano-shaped error bodies) */
+export const XANO_STATUS_CODES = {
+  400: "ERROR_CODE_INPUT_ERROR",
+  401: "ERROR_CODE_UNAUTHORIZED",
+  403: "ERROR_CODE_ACCESS_DENIED",
+  404: "ERROR_CODE_NOT_FOUND",
+  429: "ERROR_CODE_TOO_MANY_REQUESTS",
+  500: "ERROR_FATAL",
+};
+
+const XANO_ERROR_CODES = {
+  ERROR_CODE_INPUT_ERROR: ValidationError,
+  ERROR_CODE_BAD_REQUEST: ValidationError,
+  ERROR_CODE_UNAUTHORIZED: AuthError,
+  ERROR_CODE_ACCESS_DENIED: AuthError,
+  ERROR_CODE_NOT_FOUND: NotFoundError,
+  ERROR_CODE_TOO_MANY_REQUESTS: RateLimitedError,
+};
+
+/**
+ * Pick the error class for a status code / Xano error code
+ */
+function getErrorClass(status, code) {
+  if (code && XANO_ERROR_CODES[code]) return XANO_ERROR_CODES[code];
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitedError;
+  return ApiError;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extract `{ field: message }` pairs from an error body
+ * Supports `{ errors: { field: message | message[] } }` and Xano's `{ message, payload: { param } }`
+ */
+export function extractFieldErrors(data) {
+  if (!data || typeof data !== "object") return {};
+
+  if (data.errors && typeof data.errors === "object" && !Array.isArray(data.errors)) {
+    return Object.fromEntries(
+      Object.entries(data.errors).map(([field, message]) => [
+        field,
+        Array.isArray(message) ? message.join(" ") : String(message),
+      ])
+    );
+  }
+
+  if (typeof data.payload?.param === "string") {
+    return { [data.payload.param]: data.message || "Invalid value" };
+  }
+
+  return {};
+}
+
+/**
+ * Check whether an error is a deliberate cancellation (AbortController / CancelToken)
+ */
+export function isCancelError(error) {
+  return error?.name === "CanceledError" || error?.code === "ERR_CANCELED";
+}
+
+/**
+ * Turn anything thrown by a request into a typed ApiError
+ * Accepts axios errors, `{ status, data, message }` objects and plain Errors
+ * @returns {Error} ApiError subclass (cancellations and plain Errors pass through)
+ */
+export function normalizeError(error) {
+  if (error instanceof ApiError) return error;
+
+  // Deliberate cancellation is not a failure
+  if (isCancelError(error)) return error;
+
+  // Axios error: response data lives on error.response
+  const response = error?.isAxiosError ? error.response : error;
+  const config = error?.isAxiosError ? error.config : error;
+
+  if (error?.isAxiosError && !response) {
+    const isTimeout = error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+    return new NetworkError(
+      isTimeout
+        ? "The request timed out. Please try again."
+        : "Network error. Please check your connection.",
+      {
+        code: error.code,
+        url: config?.url,
+        method: config?.method,
+        cause: error,
+      }
+    );
+  }
+
+  const status = response?.status;
+
+  // Plain Error without HTTP context (e.g. thrown by app code)
+  if (status === undefined && error instanceof Error) return error;
+
+  const data = response?.data;
+  const code = typeof data?.code === "string" ? data.code : undefined;
+  const ErrorClass = getErrorClass(status, code);
+
+  return new ErrorClass(data?.message || error?.message || "Request failed", {
+    status,
+    statusText: response?.statusText,
+    code,
+    data,
+    url: config?.url,
+    method: config?.method,
+    fieldErrors: extractFieldErrors(data),
+    retryAfter: parseRetryAfter(response?.headers?.["retry-after"]),
+    cause: error,
+  });
+}
+
+/**
+ * Apply an error's field errors to a react-hook-form form
+ * @param {unknown} error - Anything thrown by a request
+ * @param {Function} setError - react-hook-form `setError`
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - Only map these fields (others are ignored)
+ * @param {Object<string, string>} [options.aliases] - Server field name => form field name
+ * @param {boolean} [options.shouldFocus] - Focus the first field with an error
+ * @returns {boolean} True if at least one field error was applied
+ */
+export function applyFieldErrors(
+  error,
+  setError,
+  { fields, aliases = {}, shouldFocus = true } = {}
+) {
+  const fieldErrors = normalizeError(error)?.fieldErrors ?? {};
+  const entries = Object.entries(fieldErrors)
+    .map(([field, message]) => [aliases[field] ?? field, message])
+    .filter(([field]) => !fields || fields.includes(field));
+
+  entries.forEach(([field, message], index) => {
+    setError(
+      field,
+      { type: "server", message },
+      { shouldFocus: shouldFocus && index === 0 }
+    );
+  });
+
+  return entries.length > 0;
+}
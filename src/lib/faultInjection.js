@@ -0,0 +1,296 @@
+import { AxiosError, AxiosHeaders, CanceledError, getAdapter } from "axios";
+
+import { XANO_STATUS_CODES } from "./errors";
+
+/**
+ * Fault injection (development only)
+ * Features: Latency, forced status codes, timeouts and dropped connections
+ * by URL pattern and method, probability per rule, one-off faults per request,
+ * rules persisted across reloads, change subscriptions for the dev panel
+ *
+ * Faults are applied by wrapping httpClient's adapter, so a faulted request
+ * still goes through every interceptor: token refresh on 401, rate limit
+ * retries on 429, error normalization, toasts and React Query retries behave
+ * exactly as they would against a misbehaving backend.
+ *
+ * Patterns match the request path (without base URL and query string):
+ * `*` matches anything (`/auth/*`, `*export*`), exact paths match themselves
+ * (`/auth/me`), and `/regex/flags` with regex syntax in it is a regular
+ * expression (`/^\/user\/\d+$/`).
+ *
+ * @example
+ * addFaultRule({ pattern: "/user*", type: FAULT_TYPES.STATUS, status: 500 });
+ * addFaultRule({ pattern: "*", type: FAULT_TYPES.LATENCY, latencyMs: 3000 });
+ *
+ * // One request only, no rule needed
+ * api.get("/auth/me", { fault: { type: "drop" } });
+ * api.get("/auth/me", { fault: [{ type: "latency", latencyMs: 1500 }, { type: "status", status: 500 }] });
+ */
+
+export const FAULT_TYPES = {
+  LATENCY: "latency",
+  STATUS: "status",
+  TIMEOUT: "timeout",
+  DROP: "drop",
+};
+
+const STORAGE_KEY = "fault-injection";
+
+const STATUS_MESSAGES = {
+  400: "Invalid input.",
+  401: "Invalid token.",
+  403: "Access denied.",
+  404: "Unable to locate request.",
+  429: "Too many requests.",
+  500: "Something went wrong.",
+  502: "Bad gateway.",
+  503: "Service unavailable.",
+};
+
+const DEFAULT_RULE = {
+  enabled: true,
+  pattern: "*",
+  method: "any",
+  type: FAULT_TYPES.STATUS,
+  status: 500,
+  latencyMs: 2000,
+  // Retry-After sent with forced 429s
+  retryAfterSeconds: 2,
+  // 0-1, share of matching requests that are faulted
+  probability: 1,
+};
+
+const listeners = new Set();
+
+let state = loadState();
+
+function loadState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.rules)) {
+      return { enabled: saved.enabled !== false, rules: saved.rules };
+    }
+  } catch {
+    // Missing or corrupt - start without rules
+  }
+  return { enabled: true, rules: [] };
+}
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Storage full or blocked - rules still apply until reload
+  }
+  listeners.forEach((listener) => listener(state));
+}
+
+function createRuleId() {
+  return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Current rules and master switch - `{ enabled, rules }`
+ */
+export function getFaultInjectionState() {
+  return state;
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToFaultInjection(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Turn every rule off (or back on) without losing them */
+export function setFaultInjectionEnabled(enabled) {
+  setState({ enabled });
+}
+
+/**
+ * Add a rule - missing fields come from DEFAULT_RULE
+ * @returns {string} Rule id
+ */
+export function addFaultRule(rule) {
+  const id = createRuleId();
+  setState({ rules: [...state.rules, { ...DEFAULT_RULE, ...rule, id }] });
+  return id;
+}
+
+export function updateFaultRule(id, changes) {
+  setState({
+    rules: state.rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)),
+  });
+}
+
+export function removeFaultRule(id) {
+  setState({ rules: state.rules.filter((rule) => rule.id !== id) });
+}
+
+export function clearFaultRules() {
+  setState({ rules: [] });
+}
+
+// Regex syntax that never appears in a plain path or glob
+const REGEX_SYNTAX = /[\\^$+?()[\]{}|]|\.[*+]/;
+
+/**
+ * Compile a rule pattern - `/.../flags` is a regex when the flags are valid
+ * and the body uses regex syntax, so paths like `/auth/me` (not flags "me")
+ * stay literal; anything else is a `*` glob
+ */
+function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (regex && REGEX_SYNTAX.test(regex[1])) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch {
+      return null;
+    }
+  }
+
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Request path relative to the API base URL, without query string
+ */
+function getRequestPath(config) {
+  let url = config.url ?? "";
+  if (config.baseURL && url.startsWith(config.baseURL)) {
+    url = url.slice(config.baseURL.length);
+  }
+  return new URL(url, "http://fault.local").pathname;
+}
+
+/**
+ * Enabled rules that apply to a request
+ */
+export function matchFaultRules(config) {
+  if (!state.enabled) return [];
+
+  const path = getRequestPath(config);
+  const method = (config.method ?? "get").toLowerCase();
+
+  return state.rules.filter(
+    (rule) =>
+      rule.enabled &&
+      (rule.method === "any" || rule.method === method) &&
+      compilePattern(rule.pattern)?.test(path)
+  );
+}
+
+/**
+ * Wait, rejecting with a CanceledError when the request is aborted
+ */
+function delay(ms, config) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    config.signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new CanceledError(null, config));
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Xano-shaped error response, rejected the way axios' settle() would
+ */
+function createStatusError(fault, config) {
+  const { status } = fault;
+  const data = fault.data ?? {
+    code: XANO_STATUS_CODES[status] ?? XANO_STATUS_CODES[500],
+    message: STATUS_MESSAGES[status] ?? `Injected ${status} response.`,
+    payload: "",
+  };
+
+  const response = {
+    data,
+    status,
+    statusText: "Injected fault",
+    headers: new AxiosHeaders({
+      "content-type": "application/json",
+      ...(status === 429 && { "retry-after": String(fault.retryAfterSeconds ?? 0) }),
+    }),
+    config,
+    request: null,
+  };
+
+  return new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
+
+/**
+ * Apply the faults for one request
+ * Latency rules add up; the first status/timeout/drop rule decides the outcome.
+ * @returns {Promise<void>} Resolves when the request may go to the real adapter
+ */
+async function applyFaults(faults, config) {
+  const latency = faults
+    .filter((fault) => fault.type === FAULT_TYPES.LATENCY)
+    .reduce((total, fault) => total + (fault.latencyMs ?? 0), 0);
+  const failure = faults.find((fault) => fault.type !== FAULT_TYPES.LATENCY);
+
+  if (latency > 0) await delay(latency, config);
+  if (!failure) return;
+
+  console.warn(
+    `💥 [FAULT] ${failure.type}${failure.type === FAULT_TYPES.STATUS ? ` ${failure.status}` : ""} ` +
+      `${config.method?.toUpperCase()} ${config.url}`
+  );
+
+  if (failure.type === FAULT_TYPES.STATUS) {
+    throw createStatusError(failure, config);
+  }
+
+  if (failure.type === FAULT_TYPES.TIMEOUT) {
+    // Hang for as long as the real timeout would let the request run
+    const timeout = config.timeout || failure.latencyMs;
+    await delay(timeout, config);
+    throw new AxiosError(
+      `timeout of ${timeout}ms exceeded`,
+      AxiosError.ECONNABORTED,
+      config
+    );
+  }
+
+  if (failure.type === FAULT_TYPES.DROP) {
+    throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config);
+  }
+}
+
+/**
+ * Wrap an axios adapter (or adapter name list) with fault injection
+ * Requests may also carry a one-off `fault` in their config (same fields as a
+ * rule, or a list of them). It is applied once - a replay after token refresh
+ * or a 429 goes through.
+ */
+export function withFaultInjection(adapter) {
+  return async (config) => {
+    const oneOff =
+      config.fault && !config._faultApplied
+        ? [].concat(config.fault).map((fault) => ({ ...DEFAULT_RULE, ...fault }))
+        : [];
+    config._faultApplied = true;
+
+    const faults = oneOff.concat(
+      matchFaultRules(config).filter((rule) => Math.random() < rule.probability)
+    );
+
+    if (faults.length > 0) await applyFaults(faults, config);
+    return getAdapter(adapter)(config);
+  };
+}
@@ -0,0 +1,140 @@
+import { config } from "./config";
+
+/**
+ * Feature flags
+ * Features: Known flag names, role/user targeting, percentage rollouts,
+ * local overrides for development (persisted, with change subscriptions)
+ *
+ * Flags are records in a Xano `feature_flag` table, served by GET /feature_flag:
+ *   { name: "reports", enabled: true, roles: ["admin"], user_ids: [12], rollout: 25 }
+ *
+ * A flag is on for a user when it is `enabled` and:
+ * - the user's role is in `roles` or their id is in `user_ids`, or
+ * - the user falls into the `rollout` percentage - stable per user and flag.
+ *   Without `rollout`, untargeted flags are on for everyone and targeted flags
+ *   only for their targets.
+ *
+ * Flags the endpoint does not return (or every flag, when it fails) fall back
+ * to FEATURE_DEFAULTS, and are off otherwise. In development, overrides set in
+ * the feature flag panel win over the endpoint.
+ */
+
+export const FEATURES = {
+  SETTINGS_PAGE: "settings_page",
+  TEAM_INVITES: "team_invites",
+  REPORTS: "reports",
+};
+
+/**
+ * Value of flags the endpoint does not return
+ * Screens that existed before flags were introduced stay on, so backends
+ * without a `feature_flag` record for them keep working.
+ */
+export const FEATURE_DEFAULTS = {
+  [FEATURES.SETTINGS_PAGE]: true,
+};
+
+const STORAGE_KEY = "feature-overrides";
+
+// Shared, so useSyncExternalStore sees the same snapshot on every call
+const NO_OVERRIDES = Object.freeze({});
+
+const listeners = new Set();
+
+let overrides = loadOverrides();
+
+function loadOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved === "object") return saved;
+  } catch {
+    // Missing or corrupt - no overrides
+  }
+  return {};
+}
+
+function setOverrides(next) {
+  overrides = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // Storage full or blocked - overrides still apply until reload
+  }
+  listeners.forEach((listener) => listener(overrides));
+}
+
+/**
+ * Local overrides - `{ [name]: boolean }`, empty outside development
+ */
+export function getFeatureOverrides() {
+  return config.isDevelopment ? overrides : NO_OVERRIDES;
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToFeatureOverrides(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Force a flag on or off locally, or pass null to follow the endpoint again
+ */
+export function setFeatureOverride(name, value) {
+  const { [name]: _previous, ...rest } = overrides;
+  setOverrides(value === null ? rest : { ...rest, [name]: value });
+}
+
+export function clearFeatureOverrides() {
+  setOverrides({});
+}
+
+/**
+ * Stable 0-99 bucket of a user for one flag (FNV-1a hash)
+ * Each flag gets its own spread, so a 10% rollout does not always hit the same users.
+ */
+function getRolloutBucket(name, userId) {
+  let hash = 0x811c9dc5;
+  for (const char of `${name}:${userId}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 100;
+}
+
+/**
+ * Whether a flag record is on for a user
+ * @param {object} flag - Record from /feature_flag
+ * @param {object|null} user - Current user (`id`, `role`)
+ */
+export function evaluateFlag(flag, user) {
+  if (!flag?.enabled) return false;
+
+  const roles = flag.roles ?? [];
+  const userIds = (flag.user_ids ?? []).map(String);
+  const isTargeted = roles.length > 0 || userIds.length > 0;
+
+  if (user && (roles.includes(user.role) || userIds.includes(String(user.id)))) {
+    return true;
+  }
+
+  const rollout = flag.rollout ?? (isTargeted ? 0 : 100);
+  if (rollout >= 100) return true;
+  if (rollout <= 0 || !user) return false;
+  return getRolloutBucket(flag.name, user.id) < rollout;
+}
+
+/**
+ * Resolve every flag for a user, overrides applied
+ * @param {object[]} flags - Records from /feature_flag
+ * @param {object|null} user - Current user
+ * @param {object} [localOverrides] - From getFeatureOverrides()
+ * @returns {Record<string, boolean>}
+ */
+export function resolveFeatures(flags, user, localOverrides = getFeatureOverrides()) {
+  const resolved = Object.fromEntries(
+    (flags ?? []).map((flag) => [flag.name, evaluateFlag(flag, user)])
+  );
+  return { ...FEATURE_DEFAULTS, ...resolved, ...localOverrides };
+}
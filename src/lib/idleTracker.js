@@ -0,0 +1,95 @@
+/**
+ * Cross-tab user activity tracking
+ * Features: Pointer/keyboard/visibility listeners, throttled shared timestamp
+ *
+ * The last activity time lives in localStorage, so activity in any tab keeps
+ * every tab of the same browser alive, and a reopened tab knows how long the
+ * workstation has been idle.
+ */
+
+const STORAGE_KEY = "lastActivityAt";
+const WRITE_THROTTLE_MS = 1000;
+
+const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "wheel",
+  "touchstart",
+];
+
+/**
+ * Activity time saved by any tab, or null when there is none
+ */
+function readStoredActivity() {
+  try {
+    return Number(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// In-memory copy for browsers where localStorage is unavailable. Starts from
+// the saved time, not the page load - loading the app is not activity, so a
+// tab reopened after the idle period still times out.
+let lastActivityAt = readStoredActivity() ?? Date.now();
+
+/**
+ * Record user activity now - on real input events and on login
+ */
+export function recordActivity() {
+  lastActivityAt = Date.now();
+
+  try {
+    localStorage.setItem(STORAGE_KEY, String(lastActivityAt));
+  } catch {
+    // Storage disabled - the in-memory timestamp still covers this tab
+  }
+}
+
+/**
+ * Get the most recent activity time across all tabs
+ * @returns {number} Millisecond timestamp
+ */
+export function getLastActivity() {
+  const stored = readStoredActivity();
+  return stored ? Math.max(stored, lastActivityAt) : lastActivityAt;
+}
+
+/**
+ * Listen for user activity in this tab
+ * Becoming visible is not counted as activity (a tab returning after the idle
+ * period must still time out); it calls `onResume` so callers can re-check
+ * right away instead of waiting for a throttled background timer.
+ * @param {object} options
+ * @param {() => void} [options.onResume] - Called when the tab becomes visible
+ * @returns {() => void} Cleanup function
+ */
+export function startActivityTracking({ onResume } = {}) {
+  let lastWrite = 0;
+
+  const handleActivity = () => {
+    const now = Date.now();
+    if (now - lastWrite < WRITE_THROTTLE_MS) return;
+    lastWrite = now;
+    recordActivity();
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === "visible") {
+      onResume?.();
+    }
+  };
+
+  ACTIVITY_EVENTS.forEach((event) =>
+    window.addEventListener(event, handleActivity, { passive: true })
+  );
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+
+  return () => {
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.removeEventListener(event, handleActivity)
+    );
+    document.removeEventListener("visibilitychange", handleVisibilityChange);
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Client-side JWT helpers
+ * Features: Claim decoding, expiry lookup, expiry checks
+ *
+ * Claims are decoded, never verified - the server stays the source of truth.
+ * Tokens that are not plain JWTs (e.g. Xano's encrypted JWE tokens) have no
+ * readable claims, so their expiry is reported as unknown (null).
+ */
+
+/**
+ * Decode a base64url string to text
+ */
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Decode the claims of a JWT
+ * @param {string} token - Encoded JWT
+ * @returns {object|null} Claims, or null if the token is not a readable JWT
+ */
+export function decodeToken(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  try {
+    const claims = JSON.parse(decodeBase64Url(parts[1]));
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - Encoded JWT
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if unknown
+ */
+export function getTokenExpiry(token) {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+}
+
+/**
+ * Check whether a JWT has expired
+ * Tokens with an unknown expiry are treated as not expired
+ * @param {string} token - Encoded JWT
+ * @param {number} skewMs - Treat tokens expiring within this window as expired
+ * @returns {boolean} True if the token is expired
+ */
+export function isTokenExpired(token, skewMs = 0) {
+  const expiresAt = getTokenExpiry(token);
+  if (expiresAt === null) return false;
+  return expiresAt - skewMs <= Date.now();
+}
+
+/**
+ * Build an unsigned JWT - only for demo/mock sessions
+ * @param {object} claims - Token claims
+ * @returns {string} Encoded JWT with an empty signature
+ */
+export function createUnsignedToken(claims) {
+  const encode = (value) =>
+    btoa(JSON.stringify(value))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+
+  return `${encode({ alg: "none", typ: "JWT" })}.${encode(claims)}.`;
+}
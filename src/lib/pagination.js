@@ -0,0 +1,85 @@
+/**
+ * Xano paging helpers
+ * Features: Paging envelope parsing, page request params, page number ranges
+ *
+ * Xano list endpoints with paging enabled return:
+ *   { items, itemsReceived, curPage, nextPage, prevPage, offset, itemsTotal, pageTotal }
+ * `itemsTotal` and `pageTotal` are only present when "include totals" is on.
+ */
+
+export const DEFAULT_PER_PAGE = 25;
+
+/**
+ * Turn a Xano paging envelope into a predictable page object
+ * Plain arrays (endpoints without paging) become a single, complete page.
+ * @param {object|Array} data - Response body
+ * @returns {{
+ *   items: Array,
+ *   page: number,
+ *   nextPage: number|null,
+ *   prevPage: number|null,
+ *   offset: number,
+ *   itemsReceived: number,
+ *   total: number|null,
+ *   pageCount: number|null
+ * }}
+ */
+export function parseXanoPage(data) {
+  if (Array.isArray(data)) {
+    return {
+      items: data,
+      page: 1,
+      nextPage: null,
+      prevPage: null,
+      offset: 0,
+      itemsReceived: data.length,
+      total: data.length,
+      pageCount: 1,
+    };
+  }
+
+  const items = Array.isArray(data?.items) ? data.items : [];
+
+  return {
+    items,
+    page: data?.curPage ?? 1,
+    nextPage: data?.nextPage ?? null,
+    prevPage: data?.prevPage ?? null,
+    offset: data?.offset ?? 0,
+    itemsReceived: data?.itemsReceived ?? items.length,
+    total: data?.itemsTotal ?? null,
+    pageCount: data?.pageTotal ?? null,
+  };
+}
+
+/**
+ * Query params for a page request
+ * Matches the `page` / `per_page` inputs of a Xano endpoint with external paging.
+ */
+export function getPageParams({ page = 1, perPage = DEFAULT_PER_PAGE } = {}) {
+  return { page, per_page: perPage };
+}
+
+/**
+ * Page numbers to render, with `null` marking a gap
+ * @example
+ * getPageRange(6, 20) // [1, null, 5, 6, 7, null, 20]
+ */
+export function getPageRange(page, pageCount, siblings = 1) {
+  // First, last, current, its siblings and the two gaps
+  const slots = siblings * 2 + 5;
+  if (pageCount <= slots) {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+
+  const start = Math.max(2, page - siblings);
+  const end = Math.min(pageCount - 1, page + siblings);
+  const range = [1];
+
+  if (start > 2) range.push(null);
+  for (let current = start; current <= end; current += 1) range.push(current);
+  if (end < pageCount - 1) range.push(null);
+
+  range.push(pageCount);
+  return range;
+}
@@ -0,0 +1,81 @@
+/**
+ * Role and permission model
+ * Features: Role → permission mapping, per-user permission grants, access checks
+ *
+ * Permissions are "<resource>:<action>" strings. A user gets the permissions
+ * of their `role` plus any extra `permissions` array returned by the API.
+ */
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+  PROFILE_VIEW: "profile:view",
+  PROFILE_EDIT: "profile:edit",
+  SETTINGS_MANAGE: "settings:manage",
+  USERS_VIEW: "users:view",
+  USERS_MANAGE: "users:manage",
+};
+
+export const ROLES = {
+  ADMIN: "admin",
+  USER: "user",
+};
+
+/**
+ * Permissions granted by each role
+ */
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.USER]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.PROFILE_VIEW,
+    PERMISSIONS.PROFILE_EDIT,
+  ],
+};
+
+/**
+ * Get every permission a user has
+ * @param {object|null} user - User with `role` and optional `permissions`
+ * @returns {Set<string>} Granted permissions
+ */
+export function getUserPermissions(user) {
+  if (!user) return new Set();
+
+  return new Set([
+    ...(ROLE_PERMISSIONS[user.role] ?? []),
+    ...(Array.isArray(user.permissions) ? user.permissions : []),
+  ]);
+}
+
+/**
+ * Check whether a user has a role
+ * @param {object|null} user - User object
+ * @param {string|string[]} roles - Role or list of accepted roles
+ */
+export function hasRole(user, roles) {
+  const accepted = [].concat(roles);
+  return !!user && accepted.includes(user.role);
+}
+
+/**
+ * Check whether a user has every listed permission
+ * @param {object|null} user - User object
+ * @param {string|string[]} permissions - Permission or list of required permissions
+ */
+export function hasPermission(user, permissions) {
+  const granted = getUserPermissions(user);
+  return [].concat(permissions).every((permission) => granted.has(permission));
+}
+
+/**
+ * Check role and permission requirements together
+ * Empty requirements always pass
+ * @param {object|null} user - User object
+ * @param {object} requirements
+ * @param {string[]} [requirements.roles] - User must have one of these roles
+ * @param {string[]} [requirements.permissions] - User must have all of these permissions
+ */
+export function isAuthorized(user, { roles, permissions } = {}) {
+  if (roles?.length && !hasRole(user, roles)) return false;
+  if (permissions?.length && !hasPermission(user, permissions)) return false;
+  return true;
+}
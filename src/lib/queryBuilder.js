@@ -0,0 +1,357 @@
+import { DEFAULT_PER_PAGE } from "./pagination";
+
+/**
+ * Query builder for Xano list endpoints
+ * Features: Where clauses, sort, search, paging, Xano `external` serialization,
+ * stable cache keys, URL search param round-tripping
+ *
+ * Xano endpoints with external paging/sorting/filtering take one `external`
+ * input shaped like:
+ *   {
+ *     page: 1, per_page: 25,
+ *     sort: [{ sortBy: "created_at", orderBy: "desc" }],
+ *     expression: [{ statement: { left: { tag: "col", operand: "user.status" }, op: "=", right: { operand: "active" } } }]
+ *   }
+ *
+ * @example
+ * export const userListQuery = defineListQuery({
+ *   table: "user",
+ *   fields: { name: "string", status: "string", age: "number", created_at: "date" },
+ *   searchFields: ["name", "email"],
+ *   defaultSort: [{ field: "created_at", direction: "desc" }],
+ * });
+ *
+ * const query = userListQuery.create().where("status", "active").where("age", "gte", 18).sort("name");
+ * api.get("/user", { params: query.toParams() });
+ * queryKeys.users.list(query.toKey());
+ * query.toSearchParams().toString(); // "age.gte=18&status=active&sort=name"
+ */
+
+/**
+ * @typedef {"string"|"number"|"boolean"|"date"} FieldType
+ * @typedef {"eq"|"neq"|"gt"|"gte"|"lt"|"lte"|"in"|"nin"|"contains"|"ncontains"} Operator
+ * @typedef {{ field: string, op: Operator, value: unknown }} WhereClause
+ * @typedef {{ field: string, direction: "asc"|"desc" }} SortClause
+ * @typedef {{ where: WhereClause[], sort: SortClause[], search: string, page: number, perPage: number }} ListQueryState
+ */
+
+/** Builder operators → Xano expression operators */
+export const OPERATORS = {
+  eq: "=",
+  neq: "!=",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  in: "in",
+  nin: "not in",
+  contains: "includes",
+  ncontains: "not includes",
+};
+
+const LIST_OPERATORS = ["in", "nin"];
+
+// Search param names that are not filters
+const PARAM_SORT = "sort";
+const PARAM_SEARCH = "q";
+const PARAM_PAGE = "page";
+const PARAM_PER_PAGE = "per_page";
+
+function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function compareClauses(a, b) {
+  return a.field.localeCompare(b.field) || a.op.localeCompare(b.op);
+}
+
+/**
+ * Convert a value or its URL string form to the field's type (undefined when
+ * it does not convert), so `where("age", "18")` and `?age=18` build the same query
+ */
+function coerceValue(type, raw) {
+  if (type === "number") {
+    const number = typeof raw === "number" || typeof raw === "string" ? Number(raw) : NaN;
+    return raw === "" || Number.isNaN(number) ? undefined : number;
+  }
+  if (type === "boolean") {
+    if (raw === true || raw === "true") return true;
+    if (raw === false || raw === "false") return false;
+    return undefined;
+  }
+  if (type === "date" && raw instanceof Date) {
+    return Number.isNaN(raw.getTime()) ? undefined : raw.toISOString();
+  }
+  return String(raw);
+}
+
+/**
+ * Define the filterable shape of one list endpoint
+ * @param {object} schema
+ * @param {Record<string, FieldType>} schema.fields - Fields that may be filtered and sorted
+ * @param {string} [schema.table] - Prefix for column operands (`user` → `user.status`)
+ * @param {string[]} [schema.searchFields] - Fields matched by `search()` (any of them)
+ * @param {SortClause[]} [schema.defaultSort] - Sort used when none is set
+ * @param {number} [schema.perPage] - Default page size
+ */
+export function defineListQuery({
+  fields,
+  table,
+  searchFields = [],
+  defaultSort = [],
+  perPage: defaultPerPage = DEFAULT_PER_PAGE,
+}) {
+  const defaults = {
+    where: [],
+    sort: defaultSort,
+    search: "",
+    page: 1,
+    perPage: defaultPerPage,
+  };
+
+  function assertField(field) {
+    if (!Object.hasOwn(fields, field)) {
+      throw new Error(`Unknown list query field: "${field}"`);
+    }
+  }
+
+  function column(field) {
+    return table ? `${table}.${field}` : field;
+  }
+
+  function statement(field, op, value) {
+    return {
+      statement: {
+        left: { tag: "col", operand: column(field) },
+        op: OPERATORS[op],
+        right: { operand: value },
+      },
+    };
+  }
+
+  /**
+   * Canonical form of a state: empty clauses dropped, one clause per field and
+   * operator (last wins), clauses and list values sorted. Equivalent queries
+   * produce deep-equal results, which keeps React Query keys stable.
+   */
+  function normalize(state) {
+    const where = new Map();
+    state.where.forEach(({ field, op, value }) => {
+      if (isEmptyValue(value)) return;
+      const normalizedValue = LIST_OPERATORS.includes(op)
+        ? [...new Set([].concat(value))].sort()
+        : value;
+      where.set(`${field}:${op}`, { field, op, value: normalizedValue });
+    });
+
+    return {
+      where: [...where.values()].sort(compareClauses),
+      sort: state.sort.length > 0 ? state.sort : defaultSort,
+      search: state.search.trim(),
+      page: Math.max(1, Math.floor(state.page) || 1),
+      perPage: state.perPage > 0 ? state.perPage : defaultPerPage,
+    };
+  }
+
+  /**
+   * Immutable builder - every method returns a new query
+   * Changing filters, search or sort goes back to page 1.
+   * @param {ListQueryState} state
+   */
+  function build(state) {
+    const next = (changes, { resetPage = true } = {}) =>
+      build(normalize({ ...state, ...(resetPage && { page: 1 }), ...changes }));
+
+    const query = {
+      state,
+
+      /**
+       * Add a filter - `where(field, value)` is shorthand for "eq"
+       * Values are converted to the field's type (`"18"` → 18 for numbers) and
+       * throw when they do not convert. Empty values (undefined, "", []) remove
+       * the clause instead.
+       */
+      where(field, op, value) {
+        if (arguments.length === 2) {
+          value = op;
+          op = "eq";
+        }
+        assertField(field);
+        if (!Object.hasOwn(OPERATORS, op)) {
+          throw new Error(`Unknown list query operator: "${op}"`);
+        }
+
+        // Same types as fromSearchParams, so both produce the same key
+        const coerce = (part) => {
+          if (isEmptyValue(part)) return part;
+          const coerced = coerceValue(fields[field], part);
+          if (coerced === undefined) {
+            throw new Error(`Invalid value for list query field "${field}": ${JSON.stringify(part)}`);
+          }
+          return coerced;
+        };
+
+        const where = state.where.filter(
+          (clause) => !(clause.field === field && clause.op === op)
+        );
+        const coercedValue = Array.isArray(value) ? value.map(coerce) : coerce(value);
+        return next({ where: [...where, { field, op, value: coercedValue }] });
+      },
+
+      /** Remove every filter on a field (or all filters) */
+      clearWhere(field) {
+        return next({
+          where: field ? state.where.filter((clause) => clause.field !== field) : [],
+        });
+      },
+
+      /** Sort by one field, or pass an array of sort clauses */
+      sort(field, direction = "asc") {
+        const sort = Array.isArray(field) ? field : [{ field, direction }];
+        sort.forEach((clause) => assertField(clause.field));
+        return next({ sort });
+      },
+
+      search(term = "") {
+        return next({ search: String(term) });
+      },
+
+      page(page) {
+        return next({ page }, { resetPage: false });
+      },
+
+      perPage(perPage) {
+        return next({ perPage });
+      },
+
+      /** Xano `external` input */
+      toExternal() {
+        const expression = state.where.map(({ field, op, value }) =>
+          statement(field, op, value)
+        );
+
+        if (state.search && searchFields.length > 0) {
+          expression.push({
+            type: "group",
+            group: {
+              expression: searchFields.map((field, index) => ({
+                ...(index > 0 && { or: true }),
+                ...statement(field, "contains", state.search),
+              })),
+            },
+          });
+        }
+
+        return {
+          page: state.page,
+          per_page: state.perPage,
+          ...(state.sort.length > 0 && {
+            sort: state.sort.map(({ field, direction }) => ({
+              sortBy: column(field),
+              orderBy: direction,
+            })),
+          }),
+          ...(expression.length > 0 && { expression }),
+        };
+      },
+
+      /** Request params - `api.get(url, { params: query.toParams() })` */
+      toParams() {
+        return { external: JSON.stringify(query.toExternal()) };
+      },
+
+      /** Cache key segment - equivalent queries return deep-equal keys */
+      toKey() {
+        return state;
+      },
+
+      /**
+       * Shareable URL form - defaults are left out
+       * `status=active&age.gte=18&status.in=a,b&sort=-created_at&q=john&page=2`
+       */
+      toSearchParams() {
+        const params = new URLSearchParams();
+
+        state.where.forEach(({ field, op, value }) => {
+          const key = op === "eq" ? field : `${field}.${op}`;
+          params.append(key, [].concat(value).join(","));
+        });
+
+        if (JSON.stringify(state.sort) !== JSON.stringify(defaultSort)) {
+          params.set(
+            PARAM_SORT,
+            state.sort
+              .map(({ field, direction }) => (direction === "desc" ? `-${field}` : field))
+              .join(",")
+          );
+        }
+        if (state.search) params.set(PARAM_SEARCH, state.search);
+        if (state.page > 1) params.set(PARAM_PAGE, String(state.page));
+        if (state.perPage !== defaultPerPage) {
+          params.set(PARAM_PER_PAGE, String(state.perPage));
+        }
+
+        return params;
+      },
+    };
+
+    return query;
+  }
+
+  return {
+    fields,
+
+    /** New query, optionally starting from a (partial) state */
+    create(state = {}) {
+      return build(normalize({ ...defaults, ...state }));
+    },
+
+    /**
+     * Rebuild a query from URL search params
+     * Unknown fields, operators and values that do not parse are ignored,
+     * so hand-edited links never break the page.
+     * @param {URLSearchParams|string} searchParams
+     */
+    fromSearchParams(searchParams) {
+      const params = new URLSearchParams(searchParams);
+      const where = [];
+
+      params.forEach((raw, key) => {
+        const [field, op = "eq"] = key.split(".");
+        if (!Object.hasOwn(fields, field) || !Object.hasOwn(OPERATORS, op)) return;
+
+        const parse = (part) => coerceValue(fields[field], part);
+        const value = LIST_OPERATORS.includes(op)
+          ? raw.split(",").map(parse).filter((part) => part !== undefined)
+          : parse(raw);
+
+        where.push({ field, op, value });
+      });
+
+      const sort = (params.get(PARAM_SORT) ?? "")
+        .split(",")
+        .filter(Boolean)
+        .map((part) =>
+          part.startsWith("-")
+            ? { field: part.slice(1), direction: "desc" }
+            : { field: part, direction: "asc" }
+        )
+        .filter((clause) => Object.hasOwn(fields, clause.field));
+
+      return build(
+        normalize({
+          where,
+          sort,
+          search: params.get(PARAM_SEARCH) ?? "",
+          page: Number(params.get(PARAM_PAGE)) || 1,
+          perPage: Number(params.get(PARAM_PER_PAGE)) || defaultPerPage,
+        })
+      );
+    },
+  };
+}
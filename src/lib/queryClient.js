@@ -1,12 +1,59 @@
-import { QueryClient } from "@tanstack/react-query";
-import toast from "react-hot-toast";
+import { MutationCache, QueryCache, QueryClient } from "@tanstack/react-query";
+
+import { notifyError, pickToastOptions } from "./errorToasts";
+import { getRateLimitRetryDelay } from "./rateLimiter";
 
 /**
  * React Query client with smart configuration
  * Features: Smart retry logic, cache management, error handling
+ *
+ * Queries and mutations declare how their errors are surfaced through `meta`
+ * (same options as requests - see ./errorToasts):
+ *
+ *   useQuery({
+ *     queryKey,
+ *     meta: { toastOn: [500] },
+ *     // Forward meta so the HTTP layer applies it to the request as well
+ *     queryFn: (context) => api.get("/items", queryRequestConfig(context)),
+ *   })
+ *
+ * Every queryFn must forward it (see queryRequestConfig) - the HTTP layer
+ * toasts before React Query sees the error, so meta alone cannot silence it.
+ * Errors the HTTP layer already toasted are never toasted twice.
+ */
+
+/**
+ * Request config for a queryFn - the abort signal plus the query's toast
+ * options from `meta`
+ * @param {{ signal?: AbortSignal, meta?: object }} context - queryFn context
+ */
+export function queryRequestConfig({ signal, meta } = {}) {
+  return { signal, ...pickToastOptions(meta) };
+}
+
+/**
+ * Global error handler for queries - runs once per query, after retries
+ */
+const queryCache = new QueryCache({
+  onError: (error, query) => {
+    console.error("Query error:", error);
+    notifyError(error, pickToastOptions(query.meta));
+  },
+});
+
+/**
+ * Global error handler for mutations
  */
+const mutationCache = new MutationCache({
+  onError: (error, _variables, _context, mutation) => {
+    console.error("Mutation error:", error);
+    notifyError(error, pickToastOptions(mutation.meta));
+  },
+});
 
 export const queryClient = new QueryClient({
+  queryCache,
+  mutationCache,
   defaultOptions: {
     queries: {
       // Stale time - how long data is considered fresh
@@ -15,8 +62,14 @@ export const queryClient = new QueryClient({
       // Cache time - how long inactive data stays in cache
       gcTime: 10 * 60 * 1000, // 10 minutes (formerly cacheTime)
 
-      // Retry configuration - no retry for 4xx errors
+      // Retry configuration - no retry for 4xx errors except 429
       retry: (failureCount, error) => {
+        // The HTTP layer already retried the 429 (see ./axios) - one more
+        // attempt after its Retry-After covers long rate limit windows
+        if (error?.status === 429) {
+          return failureCount < 1;
+        }
+
         // Don't retry 4xx errors (client errors)
         if (error?.status >= 400 && error?.status < 500) {
           return false;
@@ -26,8 +79,11 @@ export const queryClient = new QueryClient({
         return failureCount < 3;
       },
 
-      // Exponential backoff for retries
-      retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+      // Exponential backoff for retries, Retry-After (with jitter) for 429s
+      retryDelay: (attemptIndex, error) =>
+        error?.status === 429
+          ? getRateLimitRetryDelay(attemptIndex, error.retryAfter)
+          : Math.min(1000 * 2 ** attemptIndex, 30000),
 
       // Background refetch settings
       refetchOnWindowFocus: true,
@@ -40,7 +96,7 @@ export const queryClient = new QueryClient({
     mutations: {
       // Retry configuration for mutations
       retry: (failureCount, error) => {
-        // Don't retry 4xx errors for mutations
+        // Don't retry 4xx errors for mutations (429s are retried by the HTTP layer)
         if (error?.status >= 400 && error?.status < 500) {
           return false;
         }
@@ -69,43 +125,16 @@ export const queryKeys = {
   // Users domain
   users: {
     all: ["users"],
-    list: (filters) => [...queryKeys.users.all, "list", filters],
+    lists: () => [...queryKeys.users.all, "list"],
+    // `filters` may be a list query key (query.toKey()) - equivalent filters share an entry
+    list: (filters) => [...queryKeys.users.lists(), filters],
     detail: (id) => [...queryKeys.users.all, "detail", id],
   },
-};
 
-/**
- * Global error handler for React Query
- * Auto-initializes when queryClient is imported
- */
-function setupGlobalErrorHandler() {
-  queryClient.setMutationDefaults(["mutation"], {
-    onError: (error) => {
-      console.error("Mutation error:", error);
-
-      // Don't show toast for errors already handled by axios interceptor
-      // Only handle network errors or other uncaught errors
-      if (!error?.status) {
-        toast.error("Network error. Please check your connection.");
-      }
-    },
-  });
-
-  // Set default query error handler
-  queryClient.setQueryDefaults(["query"], {
-    onError: (error) => {
-      console.error("Query error:", error);
-
-      // Don't show toast for errors already handled by axios interceptor
-      // Only handle network errors or other uncaught errors
-      if (!error?.status) {
-        toast.error("Failed to load data. Please check your connection.");
-      }
-    },
-  });
-}
-
-// Auto-initialize global error handling when this module is imported
-setupGlobalErrorHandler();
+  // Feature flags domain
+  features: {
+    all: ["features"],
+  },
+};
 
 export default queryClient;
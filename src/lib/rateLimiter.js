@@ -0,0 +1,225 @@
+import { config } from "./config";
+
+/**
+ * Client-side rate budgeting
+ * Features: Token bucket per Xano instance, FIFO wait queue, Retry-After
+ * pauses, jittered backoff, queue depth subscriptions
+ *
+ * Xano enforces rate limits per instance, so every API group on the same
+ * instance (`https://x.xano.io/api:auth`, `.../api:main`, ...) shares one
+ * bucket, keyed by the instance origin. Every request takes a token from its
+ * bucket before it is sent; when the bucket is empty the request waits in line
+ * instead of being sent and rejected with a 429. A 429 that still gets through
+ * pauses the whole bucket until the server's `Retry-After` has passed.
+ *
+ * Queue depth is still reported per API group (`auth`, `main`, ...), so the UI
+ * can tell which part of the app is waiting. The mock API has no limits and is
+ * never budgeted.
+ */
+
+const DEFAULT_GROUP = "default";
+
+/** @type {Map<string, { tokens: number, updatedAt: number, pausedUntil: number, queue: Array, apiGroups: Set<string>, timer: number|null }>} */
+const buckets = new Map();
+const listeners = new Set();
+
+let snapshot = { queued: 0, groups: {} };
+
+/**
+ * Bucket size and refill window - `requests` per `intervalMs`, 0 disables budgeting
+ */
+function getLimits() {
+  const { requests, intervalSeconds } = config.api.rateLimit;
+  return {
+    capacity: config.api.mock ? 0 : requests,
+    intervalMs: intervalSeconds * 1000,
+  };
+}
+
+function getBucket(group) {
+  if (!buckets.has(group)) {
+    buckets.set(group, {
+      tokens: getLimits().capacity,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: [],
+      // API groups that have drawn from this bucket (see emitChange)
+      apiGroups: new Set(),
+      timer: null,
+    });
+  }
+  return buckets.get(group);
+}
+
+/**
+ * Add the tokens earned since the last refill (never above capacity)
+ */
+function refill(bucket, now) {
+  const { capacity, intervalMs } = getLimits();
+  const earned = ((now - bucket.updatedAt) * capacity) / intervalMs;
+  bucket.tokens = Math.min(capacity, bucket.tokens + earned);
+  bucket.updatedAt = now;
+}
+
+function emitChange() {
+  const groups = {};
+  let queued = 0;
+
+  // Reported per API group - groups sharing a bucket share its pause
+  buckets.forEach((bucket) => {
+    bucket.apiGroups.forEach((name) => {
+      const entry = groups[name] ?? { queued: 0, pausedUntil: 0 };
+      groups[name] = { ...entry, pausedUntil: Math.max(entry.pausedUntil, bucket.pausedUntil) };
+    });
+    bucket.queue.forEach((entry) => {
+      groups[entry.apiGroup].queued += 1;
+    });
+    queued += bucket.queue.length;
+  });
+
+  snapshot = { queued, groups };
+  listeners.forEach((listener) => listener(snapshot));
+}
+
+/**
+ * Release as many waiting requests as the bucket allows, then schedule the next check
+ */
+function drain(group) {
+  const bucket = getBucket(group);
+  const { capacity, intervalMs } = getLimits();
+  const now = Date.now();
+
+  clearTimeout(bucket.timer);
+  bucket.timer = null;
+
+  if (bucket.pausedUntil > now) {
+    // Check back when the pause ends, even with an empty queue, so
+    // subscribers learn the group is usable again
+    bucket.timer = setTimeout(() => drain(group), bucket.pausedUntil - now);
+    return;
+  }
+
+  // A finished pause counts as a change
+  let changed = bucket.pausedUntil !== 0;
+  bucket.pausedUntil = 0;
+
+  const unlimited = capacity <= 0;
+  if (!unlimited) refill(bucket, now);
+
+  while (bucket.queue.length > 0 && (unlimited || bucket.tokens >= 1)) {
+    if (!unlimited) bucket.tokens -= 1;
+    bucket.queue.shift().resolve();
+    changed = true;
+  }
+
+  if (bucket.queue.length > 0) {
+    const waitMs = ((1 - bucket.tokens) * intervalMs) / capacity;
+    bucket.timer = setTimeout(() => drain(group), Math.max(0, Math.ceil(waitMs)));
+  }
+
+  if (changed) emitChange();
+}
+
+/**
+ * Wait for a request slot in a rate limit group
+ * Resolves immediately when the bucket has a token and nobody is queued ahead.
+ * @param {string} [group] - Rate limit group (see getRateLimitGroup)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Rejects with the abort reason and leaves the queue
+ * @param {string} [options.apiGroup] - API group the request belongs to (for queue depth)
+ * @returns {Promise<void>}
+ */
+export function acquireRateLimitToken(group = DEFAULT_GROUP, { signal, apiGroup = DEFAULT_GROUP } = {}) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const bucket = getBucket(group);
+    bucket.apiGroups.add(apiGroup);
+
+    const entry = {
+      apiGroup,
+      resolve: () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      },
+    };
+
+    function onAbort() {
+      const index = bucket.queue.indexOf(entry);
+      if (index !== -1) {
+        bucket.queue.splice(index, 1);
+        emitChange();
+      }
+      reject(signal.reason);
+    }
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    bucket.queue.push(entry);
+    emitChange();
+    drain(group);
+  });
+}
+
+/**
+ * Hold every request in a group for `ms` (e.g. after a 429 with Retry-After)
+ * Overlapping pauses keep the latest end time.
+ */
+export function pauseRateLimitGroup(group = DEFAULT_GROUP, ms = 0) {
+  const bucket = getBucket(group);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  emitChange();
+  drain(group);
+}
+
+/**
+ * Delay before retrying a 429
+ * Uses the server's Retry-After when given, otherwise exponential backoff.
+ * Jitter spreads the retries of requests that were rejected together, so they
+ * do not all come back in the same instant and trip the limit again.
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number|null} [retryAfter] - Retry-After in ms (see parseRetryAfter)
+ * @returns {number} Delay in ms
+ */
+export function getRateLimitRetryDelay(attempt, retryAfter = null) {
+  if (retryAfter != null) {
+    // Never earlier than the server asked for - only up to 20% later
+    return Math.round(retryAfter + Math.random() * retryAfter * 0.2);
+  }
+
+  // "Full jitter" backoff: anywhere between 0 and the exponential cap
+  const cap = Math.min(1000 * 2 ** (attempt + 1), 30000);
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Rate limit group (bucket) a request belongs to
+ * An explicit `rateLimitGroup` on the request config wins, otherwise the
+ * origin of the Xano instance the request goes to - the scope of Xano's limit.
+ */
+export function getRateLimitGroup(requestConfig = {}) {
+  if (requestConfig.rateLimitGroup) return requestConfig.rateLimitGroup;
+
+  const url = `${requestConfig.baseURL ?? ""}${requestConfig.url ?? ""}`;
+  try {
+    return new URL(url, window.location.origin).origin;
+  } catch {
+    return DEFAULT_GROUP;
+  }
+}
+
+/**
+ * Current queue state: `{ queued, groups: { [apiGroup]: { queued, pausedUntil } } }`
+ * The same object is returned until something changes (safe for useSyncExternalStore).
+ */
+export function getRateLimitSnapshot() {
+  return snapshot;
+}
+
+/**
+ * Listen for queue changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToRateLimit(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,56 @@
+/**
+ * Post-login redirect helpers
+ * Features: Carry the requested location through /login, same-origin validation
+ *
+ * The intended location travels as a `?redirect=` search param so it survives
+ * hard redirects (e.g. from the axios 401 handler) and page reloads.
+ */
+
+export const REDIRECT_PARAM = "redirect";
+
+// Pages a user should never be sent back to after signing in
+const AUTH_PATHS = ["/login", "/register", "/forgot-password", "/reset-password"];
+
+/**
+ * Validate a redirect target and reduce it to a same-origin path
+ * @param {string|null} target - Requested path (including search and hash)
+ * @param {string} fallback - Path used when the target is missing or unsafe
+ * @returns {string} Safe path starting with a single "/"
+ */
+export function getSafeRedirectPath(target, fallback = "/") {
+  // Only app-relative paths - rejects "//evil.com", "/\evil.com" and "https://..."
+  if (typeof target !== "string" || !/^\/(?![/\\])/.test(target)) {
+    return fallback;
+  }
+
+  try {
+    const url = new URL(target, window.location.origin);
+    if (url.origin !== window.location.origin) return fallback;
+    if (AUTH_PATHS.includes(url.pathname)) return fallback;
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Read the redirect target from a search string
+ * @param {string} search - Location search, e.g. "?redirect=%2Fprofile"
+ * @returns {string} Safe path to continue to after login
+ */
+export function getRedirectFromSearch(search) {
+  return getSafeRedirectPath(new URLSearchParams(search).get(REDIRECT_PARAM));
+}
+
+/**
+ * Build the login URL that returns to the given location afterwards
+ * @param {{pathname: string, search?: string, hash?: string}} location
+ * @returns {string} Login path with a `redirect` param when needed
+ */
+export function buildLoginPath(location) {
+  const target = `${location.pathname}${location.search ?? ""}${location.hash ?? ""}`;
+  const safeTarget = getSafeRedirectPath(target, null);
+
+  if (!safeTarget || safeTarget === "/") return "/login";
+  return `/login?${REDIRECT_PARAM}=${encodeURIComponent(safeTarget)}`;
+}
@@ -0,0 +1,97 @@
+import { config } from "./config";
+import { ResponseSchemaError } from "./errors";
+
+/**
+ * Response schema validation
+ * Features: zod schemas per request, strict/log/off modes, schema drift reports
+ * with the endpoint and every failing path
+ *
+ * Services declare the shape they rely on by passing `responseSchema` with the
+ * request; the HTTP layer checks `response.data` before it reaches the service.
+ * When a Xano field is renamed or removed, the failure names the endpoint and
+ * field instead of surfacing as `undefined` deep inside a component.
+ *
+ * Modes (`config.api.responseValidation`, VITE_RESPONSE_VALIDATION):
+ * - strict: reject with a ResponseSchemaError (development default)
+ * - log:    report to the console and continue (production default)
+ * - off:    skip validation
+ *
+ * The data is passed on unchanged - schemas check the contract, they do not
+ * reshape the response.
+ *
+ * @example
+ * const response = await api.get("/auth/me", { responseSchema: userResponseSchema });
+ */
+
+export const RESPONSE_VALIDATION_MODES = {
+  STRICT: "strict",
+  LOG: "log",
+  OFF: "off",
+};
+
+// Drift already reported in log mode - one console entry per endpoint and problem
+const reported = new Set();
+
+/**
+ * zod path → readable path (`["items", 0, "email"]` → `items[0].email`)
+ */
+export function formatIssuePath(path) {
+  if (!path?.length) return "(root)";
+
+  return path.reduce((result, key) => {
+    if (typeof key === "number") return `${result}[${key}]`;
+    return result ? `${result}.${String(key)}` : String(key);
+  }, "");
+}
+
+/**
+ * Multi-line drift report for the console
+ */
+function formatReport(error) {
+  const lines = error.issues.map(({ path, message }) => `  • ${path}: ${message}`);
+  return [error.message, ...lines].join("\n");
+}
+
+/**
+ * Check a response against `config.responseSchema`
+ * @param {import("axios").AxiosResponse} response
+ * @returns {import("axios").AxiosResponse} The same response
+ * @throws {ResponseSchemaError} In strict mode, when the data does not match
+ */
+export function validateResponse(response) {
+  const { responseSchema, method, url } = response.config;
+  const mode = config.api.responseValidation;
+
+  if (!responseSchema || mode === RESPONSE_VALIDATION_MODES.OFF) return response;
+
+  const result = responseSchema.safeParse(response.data);
+  if (result.success) return response;
+
+  const endpoint = `${method?.toUpperCase()} ${url}`;
+  const error = new ResponseSchemaError(`Unexpected response from ${endpoint}`, {
+    status: response.status,
+    statusText: response.statusText,
+    code: "RESPONSE_SCHEMA_MISMATCH",
+    data: response.data,
+    url,
+    method,
+    issues: result.error.issues.map((issue) => ({
+      path: formatIssuePath(issue.path),
+      message: issue.message,
+    })),
+    cause: result.error,
+  });
+
+  if (mode === RESPONSE_VALIDATION_MODES.STRICT) {
+    console.error(formatReport(error), response.data);
+    throw error;
+  }
+
+  const key = `${endpoint} ${error.issues.map((issue) => issue.path).join(",")}`;
+  if (!reported.has(key)) {
+    reported.add(key);
+    console.error(formatReport(error), response.data);
+  }
+
+  return response;
+}
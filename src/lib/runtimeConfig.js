@@ -0,0 +1,148 @@
+import { z } from "zod";
+
+import { AUTH_MODES } from "./apiEnvironment";
+import { ConfigError, config, freezeConfig, logConfig, validateConfig } from "./config";
+import { RESPONSE_VALIDATION_MODES, formatIssuePath } from "./responseValidation";
+
+/**
+ * Runtime configuration
+ * Features: Per-deployment settings from /config.json, zod validation, merge
+ * over the build-time defaults from ./config
+ *
+ * One build can be deployed to every customer and environment: the host serves
+ * a /config.json next to index.html, and main.jsx applies it before the app is
+ * loaded. Every key is optional - anything left out keeps its build-time value.
+ *
+ * @example
+ * // public/config.json (or written by the deployment)
+ * {
+ *   "api": {
+ *     "baseUrl": "https://x8ki-letl-twmt.n7.xano.io/api:main",
+ *     "mock": false,
+ *     "groups": { "auth": { "baseUrl": "https://x8ki-letl-twmt.n7.xano.io/api:auth" } }
+ *   },
+ *   "features": { "debug": false }
+ * }
+ */
+
+const url = z.string().min(1);
+const count = z.number().int().nonnegative();
+const positive = z.number().int().positive();
+
+const apiGroupSchema = z.strictObject({
+  baseUrl: url.optional(),
+  timeout: positive.optional(),
+  auth: z.enum(Object.values(AUTH_MODES)).optional(),
+});
+
+/**
+ * Settings /config.json may override
+ * Strict objects, so a misspelled key fails loudly instead of being ignored.
+ */
+export const runtimeConfigSchema = z
+  .strictObject({
+    api: z
+      .strictObject({
+        baseUrl: url,
+        mock: z.boolean(),
+        mockLatency: count,
+        timeout: positive,
+        groups: z.partialRecord(z.enum(Object.keys(config.api.groups)), apiGroupSchema),
+        environment: z.string().min(1),
+        environments: z.record(z.string(), z.union([url, z.record(z.string(), url)])),
+        responseValidation: z.enum(Object.values(RESPONSE_VALIDATION_MODES)),
+        rateLimit: z
+          .strictObject({ requests: count, intervalSeconds: positive, maxRetries: count })
+          .partial(),
+      })
+      .partial(),
+    auth: z
+      .strictObject({
+        provider: z.string().min(1),
+        expiryWarningMinutes: count,
+        idleTimeoutMinutes: count,
+        idleWarningSeconds: count,
+      })
+      .partial(),
+    app: z.strictObject({ name: z.string().min(1), release: z.string().min(1) }).partial(),
+    errorReporting: z
+      .strictObject({ url: url.nullable(), sampleRate: z.number().min(0).max(1) })
+      .partial(),
+    features: z.record(z.string(), z.boolean()),
+  })
+  .partial();
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge validated overrides into `config` (objects merge, values replace)
+ */
+function mergeInto(target, overrides) {
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Fetch and validate the runtime config
+ * @param {string} url - Usually `config.runtimeConfigUrl`
+ * @returns {Promise<object|null>} Validated overrides, or null when there is no file
+ * @throws {ConfigError} When the file cannot be loaded, parsed or validated
+ */
+export async function fetchRuntimeConfig(url) {
+  let response;
+  try {
+    response = await fetch(url, { cache: "no-store", headers: { Accept: "application/json" } });
+  } catch (error) {
+    throw new ConfigError(`Could not load ${url}`, { cause: error });
+  }
+
+  // No file - dev servers and most SPA hosts answer with index.html instead of a 404
+  const isJson = response.headers.get("content-type")?.includes("json");
+  if (response.status === 404 || (response.ok && !isJson)) return null;
+  if (!response.ok) {
+    throw new ConfigError(`Could not load ${url} (HTTP ${response.status})`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new ConfigError(`${url} is not valid JSON`, { cause: error });
+  }
+
+  const result = runtimeConfigSchema.safeParse(data);
+  if (!result.success) {
+    throw new ConfigError(`${url} contains invalid settings`, {
+      issues: result.error.issues.map((issue) => ({
+        path: formatIssuePath(issue.path),
+        message: issue.message,
+      })),
+      cause: result.error,
+    });
+  }
+
+  return result.data;
+}
+
+/**
+ * Apply /config.json, then validate, freeze and log the final config
+ * Must finish before modules that read `config` are loaded (see main.jsx).
+ * @throws {ConfigError} When the config cannot be used
+ */
+export async function initConfig() {
+  if (config.runtimeConfigUrl) {
+    const overrides = await fetchRuntimeConfig(config.runtimeConfigUrl);
+    if (overrides) mergeInto(config, overrides);
+  }
+
+  validateConfig();
+  freezeConfig();
+  logConfig();
+}
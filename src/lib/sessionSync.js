@@ -0,0 +1,81 @@
+/**
+ * Cross-tab session synchronization
+ * Features: BroadcastChannel messaging with a localStorage "storage" event fallback
+ *
+ * Events never carry tokens - the auth cookies are already shared between tabs.
+ * - login: { type: "login", userId }
+ * - logout: { type: "logout" }
+ * - token: { type: "token" } (access/refresh token rotated)
+ */
+
+const CHANNEL_NAME = "session-sync";
+const STORAGE_KEY = "session-sync-event";
+
+export const SESSION_EVENTS = {
+  LOGIN: "login",
+  LOGOUT: "logout",
+  TOKEN: "token",
+};
+
+const hasBroadcastChannel =
+  typeof window !== "undefined" && "BroadcastChannel" in window;
+
+let channel = null;
+
+/**
+ * Lazily open the shared BroadcastChannel
+ */
+function getChannel() {
+  if (!channel && hasBroadcastChannel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Notify other tabs about a session change
+ */
+export function broadcastSessionEvent(type, payload = {}) {
+  const event = { ...payload, type, timestamp: Date.now() };
+
+  try {
+    if (hasBroadcastChannel) {
+      getChannel().postMessage(event);
+      return;
+    }
+
+    // Fallback: writing a new value fires "storage" in every other tab
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(event));
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Session sync broadcast failed:", error);
+  }
+}
+
+/**
+ * Listen for session changes made in other tabs
+ * @param {(event: {type: string}) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToSessionEvents(listener) {
+  if (hasBroadcastChannel) {
+    const handleMessage = (message) => listener(message.data);
+    const activeChannel = getChannel();
+    activeChannel.addEventListener("message", handleMessage);
+    return () => activeChannel.removeEventListener("message", handleMessage);
+  }
+
+  const handleStorage = (event) => {
+    // Ignore the removeItem() that follows every broadcast
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      listener(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn("Ignoring malformed session sync event:", error);
+    }
+  };
+
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+}
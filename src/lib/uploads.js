@@ -0,0 +1,389 @@
+import { uploadFile } from "./axios";
+import { NetworkError, ValidationError, isCancelError, normalizeError } from "./errors";
+
+/**
+ * Upload manager
+ * Features: Upload queue with a concurrency limit, size/MIME validation,
+ * per-file progress, AbortController cancel, automatic and manual retry,
+ * chunked uploads for large files, Xano file resources as results
+ *
+ * Xano's file upload endpoints ("Create file resource" + "Add record") return
+ * the stored file: `{ access, path, name, type, size, mime, meta, url? }`.
+ *
+ * Chunked uploads need a Xano endpoint that accepts one chunk per request
+ * (multipart fields: upload_id, chunk_index, chunk_count, file_name, mime,
+ * size, chunk), stores the chunks under `upload_id` and returns the assembled
+ * file resource for the last chunk. Chunks are sent in order; a retried upload
+ * resumes at the first chunk that has not been accepted.
+ */
+
+export const UPLOAD_STATUS = {
+  QUEUED: "queued",
+  UPLOADING: "uploading",
+  SUCCESS: "success",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+const MB = 1024 * 1024;
+
+const DEFAULT_OPTIONS = {
+  fieldName: "file",
+  concurrency: 3,
+  // Automatic retries for network errors and 5xx (per file or per chunk)
+  maxRetries: 2,
+  maxSize: 50 * MB,
+  // MIME types, wildcards or extensions - same format as <input accept>
+  accept: [],
+  // Endpoint for chunked uploads; without it every file is sent in one request
+  chunkUrl: null,
+  chunkSize: 5 * MB,
+  // Files larger than this are chunked (when chunkUrl is set)
+  chunkThreshold: 10 * MB,
+  // Upload errors are shown per file, so no global toasts by default
+  silent: true,
+};
+
+/**
+ * Check a file against size and type limits
+ * @returns {string|null} Error message, or null when the file is acceptable
+ */
+export function validateFile(file, { maxSize, accept = [] } = {}) {
+  if (maxSize && file.size > maxSize) {
+    return `${file.name} is larger than ${formatFileSize(maxSize)}.`;
+  }
+
+  if (accept.length > 0) {
+    const name = file.name.toLowerCase();
+    const type = file.type.toLowerCase();
+    const accepted = accept.some((rule) => {
+      const pattern = rule.trim().toLowerCase();
+      if (pattern.startsWith(".")) return name.endsWith(pattern);
+      if (pattern.endsWith("/*")) return type.startsWith(pattern.slice(0, -1));
+      return type === pattern;
+    });
+
+    if (!accepted) return `${file.name} is not an accepted file type.`;
+  }
+
+  return null;
+}
+
+/**
+ * Human readable file size (1.5 MB)
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Normalize a Xano file resource (endpoints may return it directly or inside a record)
+ */
+export function parseXanoFile(data) {
+  const file = data?.path ? data : (Object.values(data ?? {}).find((value) => value?.path) ?? data);
+
+  return {
+    path: file?.path ?? null,
+    url: file?.url ?? null,
+    name: file?.name ?? null,
+    type: file?.type ?? null,
+    mime: file?.mime ?? null,
+    size: file?.size ?? null,
+    meta: file?.meta ?? {},
+    access: file?.access ?? null,
+    record: data,
+  };
+}
+
+/**
+ * Errors worth retrying automatically - the same request may succeed later
+ */
+function isRetryable(error) {
+  return error instanceof NetworkError || error?.status >= 500;
+}
+
+/**
+ * Resolve after `ms`, or reject with the abort reason once `signal` aborts
+ */
+function wait(ms, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    const timer = setTimeout(() => {
+      // Retries reuse the signal - don't pile up listeners on it
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Failed or cancelled uploads can be queued again, unless validation rejected the file
+ */
+export function canRetryUpload(item) {
+  return (
+    Boolean(item) &&
+    [UPLOAD_STATUS.ERROR, UPLOAD_STATUS.CANCELLED].includes(item.status) &&
+    !item.invalid
+  );
+}
+
+function createUploadId() {
+  return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Create an upload queue
+ * @param {object} options - See DEFAULT_OPTIONS, plus:
+ * @param {string} options.url - Upload endpoint for single-request uploads
+ * @param {object} [options.data] - Extra form fields sent with every upload
+ * @param {string} [options.apiGroup] - API group of the upload endpoints (defaults to the default group)
+ * @param {Function} [options.onSuccess] - Called with (fileResource, item)
+ * @param {Function} [options.onError] - Called with (error, item)
+ */
+export function createUploadManager(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  /** Public, immutable item snapshots in queue order */
+  let items = [];
+  /** Private per-item state: file, AbortController, chunk position */
+  const jobs = new Map();
+  const listeners = new Set();
+  let nextId = 1;
+
+  function emit() {
+    listeners.forEach((listener) => listener(items));
+  }
+
+  function update(id, changes) {
+    items = items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+    emit();
+  }
+
+  function getItem(id) {
+    return items.find((item) => item.id === id);
+  }
+
+  /**
+   * Run a request, retrying network errors and 5xx with exponential backoff
+   */
+  async function withRetries(id, request) {
+    const job = jobs.get(id);
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await request();
+      } catch (error) {
+        if (job.controller.signal.aborted || !isRetryable(error) || attempt >= settings.maxRetries) {
+          throw error;
+        }
+        update(id, { attempts: getItem(id).attempts + 1 });
+        await wait(1000 * 2 ** attempt, job.controller.signal);
+      }
+    }
+  }
+
+  async function uploadWhole(id) {
+    const { file, controller } = jobs.get(id);
+
+    const response = await withRetries(id, () =>
+      uploadFile(settings.url, file, (progress) => update(id, { progress }), {
+        fieldName: settings.fieldName,
+        data: settings.data,
+        signal: controller.signal,
+        silent: settings.silent,
+        apiGroup: settings.apiGroup,
+      })
+    );
+    return response.data;
+  }
+
+  async function uploadChunks(id) {
+    const job = jobs.get(id);
+    const { file, controller } = job;
+    const chunkCount = Math.ceil(file.size / settings.chunkSize);
+    let data;
+
+    for (let index = job.chunkIndex; index < chunkCount; index += 1) {
+      const start = index * settings.chunkSize;
+      const chunk = file.slice(start, start + settings.chunkSize);
+
+      const response = await withRetries(id, () =>
+        uploadFile(
+          settings.chunkUrl,
+          chunk,
+          (percent) => {
+            const uploaded = start + (chunk.size * percent) / 100;
+            update(id, { progress: Math.round((uploaded * 100) / file.size) });
+          },
+          {
+            fieldName: "chunk",
+            data: {
+              ...settings.data,
+              upload_id: job.uploadId,
+              chunk_index: index,
+              chunk_count: chunkCount,
+              file_name: file.name,
+              mime: file.type,
+              size: file.size,
+            },
+            signal: controller.signal,
+            silent: settings.silent,
+            apiGroup: settings.apiGroup,
+          }
+        )
+      );
+
+      // Accepted - a retry continues from the next chunk
+      job.chunkIndex = index + 1;
+      data = response.data;
+    }
+
+    return data;
+  }
+
+  async function run(id) {
+    const job = jobs.get(id);
+    job.controller = new AbortController();
+    update(id, { status: UPLOAD_STATUS.UPLOADING, error: null });
+
+    const chunked = settings.chunkUrl && job.file.size > settings.chunkThreshold;
+
+    try {
+      const data = chunked ? await uploadChunks(id) : await uploadWhole(id);
+      const result = parseXanoFile(data);
+      update(id, { status: UPLOAD_STATUS.SUCCESS, progress: 100, result });
+      settings.onSuccess?.(result, getItem(id));
+    } catch (error) {
+      if (job.controller.signal.aborted || isCancelError(error)) {
+        update(id, { status: UPLOAD_STATUS.CANCELLED });
+      } else {
+        const normalizedError = normalizeError(error);
+        update(id, { status: UPLOAD_STATUS.ERROR, error: normalizedError });
+        settings.onError?.(normalizedError, getItem(id));
+      }
+    } finally {
+      pump();
+    }
+  }
+
+  /**
+   * Start queued uploads until the concurrency limit is reached
+   */
+  function pump() {
+    const active = items.filter((item) => item.status === UPLOAD_STATUS.UPLOADING).length;
+    items
+      .filter((item) => item.status === UPLOAD_STATUS.QUEUED)
+      .slice(0, Math.max(0, settings.concurrency - active))
+      .forEach((item) => run(item.id));
+  }
+
+  const manager = {
+    /**
+     * Queue files for upload - invalid files are added with an error instead
+     * @param {FileList|File[]} files
+     * @returns {number[]} Ids of the added items
+     */
+    add(files) {
+      const added = Array.from(files).map((file) => {
+        const id = nextId++;
+        const message = validateFile(file, settings);
+        jobs.set(id, {
+          file,
+          controller: null,
+          chunkIndex: 0,
+          uploadId: createUploadId(),
+        });
+
+        return {
+          id,
+          file,
+          name: file.name,
+          size: file.size,
+          type: file.type,
+          status: message ? UPLOAD_STATUS.ERROR : UPLOAD_STATUS.QUEUED,
+          // Rejected by validation - retrying would only fail again
+          invalid: Boolean(message),
+          progress: 0,
+          attempts: 0,
+          error: message
+            ? new ValidationError(message, { fieldErrors: { [settings.fieldName]: message } })
+            : null,
+          result: null,
+        };
+      });
+
+      items = [...items, ...added];
+      emit();
+      pump();
+      return added.map((item) => item.id);
+    },
+
+    /** Abort an upload (or take it out of the queue) */
+    cancel(id) {
+      const item = getItem(id);
+      if (item?.status === UPLOAD_STATUS.QUEUED) {
+        update(id, { status: UPLOAD_STATUS.CANCELLED });
+      } else if (item?.status === UPLOAD_STATUS.UPLOADING) {
+        jobs.get(id).controller.abort();
+      }
+    },
+
+    cancelAll() {
+      items.forEach((item) => manager.cancel(item.id));
+    },
+
+    /** Queue a failed or cancelled upload again (chunked uploads resume) */
+    retry(id) {
+      const item = getItem(id);
+      if (!canRetryUpload(item)) return;
+
+      update(id, { status: UPLOAD_STATUS.QUEUED, error: null, attempts: item.attempts + 1 });
+      pump();
+    },
+
+    /** Drop an item from the list (cancelling it if needed) */
+    remove(id) {
+      manager.cancel(id);
+      jobs.delete(id);
+      items = items.filter((item) => item.id !== id);
+      emit();
+    },
+
+    /** Remove finished items (succeeded, failed or cancelled) */
+    clearCompleted() {
+      items
+        .filter((item) => ![UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(item.status))
+        .forEach((item) => jobs.delete(item.id));
+      items = items.filter((item) =>
+        [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(item.status)
+      );
+      emit();
+    },
+
+    getItems() {
+      return items;
+    },
+
+    /**
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return manager;
+}
@@ -92,3 +92,108 @@ export const passwordSchema = z
   .regex(/[a-z]/, "Password must contain at least one lowercase letter")
   .regex(/[0-9]/, "Password must contain at least one number")
   .max(128, "Password is too long");
+
+/**
+ * Registration form validation schema
+ */
+export const registerSchema = z
+  .object({
+    name: z
+      .string()
+      .min(1, "Name is required")
+      .min(2, "Name must be at least 2 characters")
+      .max(50, "Name is too long")
+      .trim(),
+    email: emailSchema,
+    password: passwordSchema,
+    confirmPassword: z.string().min(1, "Please confirm your password"),
+    acceptTerms: z
+      .boolean()
+      .refine((value) => value === true, "You must accept the terms to continue"),
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords don't match",
+    path: ["confirmPassword"],
+  });
+
+/**
+ * Forgot password form validation schema
+ */
+export const forgotPasswordSchema = z.object({
+  email: emailSchema,
+});
+
+/**
+ * Reset password form validation schema
+ */
+export const resetPasswordSchema = z
+  .object({
+    password: passwordSchema,
+    confirmPassword: z.string().min(1, "Please confirm your password"),
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords don't match",
+    path: ["confirmPassword"],
+  });
+
+/**
+ * API response schemas
+ * Passed as `responseSchema` with a request and checked by the HTTP layer
+ * (see ./responseValidation). They list only the fields the app relies on;
+ * loose objects let Xano add fields without failing validation.
+ */
+const recordIdSchema = z.union([z.number(), z.string()]);
+
+/**
+ * User record from /auth/me, /auth/profile and /user
+ */
+export const userResponseSchema = z.looseObject({
+  id: recordIdSchema,
+  email: z.string(),
+  name: z.string().nullish(),
+  role: z.string().nullish(),
+});
+
+/**
+ * Login, signup and refresh responses - Xano's `{ authToken }`, plus
+ * `refresh_token` when rotation is enabled
+ */
+export const authTokenResponseSchema = z
+  .looseObject({
+    authToken: z.string().optional(),
+    token: z.string().optional(),
+    refresh_token: z.string().optional(),
+    user: userResponseSchema.optional(),
+  })
+  .refine((data) => data.authToken || data.token, {
+    message: "Missing authToken",
+    path: ["authToken"],
+  });
+
+/**
+ * Xano paging envelope around a list of records (see ./pagination)
+ * @param {import("zod").ZodType} itemSchema - Schema of one record
+ */
+export function xanoPageResponseSchema(itemSchema) {
+  return z.looseObject({
+    items: z.array(itemSchema),
+    curPage: z.number().nullish(),
+    nextPage: z.number().nullish(),
+    prevPage: z.number().nullish(),
+    itemsTotal: z.number().nullish(),
+    pageTotal: z.number().nullish(),
+  });
+}
+
+/**
+ * Feature flag records from /feature_flag (see ./featureFlags)
+ */
+export const featureFlagResponseSchema = z.looseObject({
+  name: z.string(),
+  enabled: z.boolean(),
+  roles: z.array(z.string()).nullish(),
+  user_ids: z.array(recordIdSchema).nullish(),
+  rollout: z.number().min(0).max(100).nullish(),
+});
+
+export const featureFlagListResponseSchema = z.array(featureFlagResponseSchema);
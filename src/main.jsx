@@ -1,31 +1,47 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import { config } from './lib/config'
+import { captureException, initErrorReporting } from './lib/errorReporting'
+import { initConfig } from './lib/runtimeConfig'
+import BootError from './pages/BootError.jsx'
 
 /**
  * Application entry point
- * Features: React 19 StrictMode, root rendering, global error handling
+ * Features: React 19 StrictMode, runtime config before first render, boot
+ * error screen, global error reporting
  */
 
-// Global error handlers for unhandled errors
+// Global error handlers for unhandled errors - reports captured before
+// startup finishes are sent once error reporting is initialized
 window.addEventListener('error', (event) => {
-  console.error('Global error:', event.error)
-  
-  // In production, send to error reporting service
-  // Example: Sentry.captureException(event.error)
+  // Resource load failures (<img>, <script>) have no error object
+  captureException(event.error ?? event.message, { source: 'global' })
 })
 
 window.addEventListener('unhandledrejection', (event) => {
-  console.error('Unhandled promise rejection:', event.reason)
-  
-  // In production, send to error reporting service
-  // Example: Sentry.captureException(event.reason)
+  captureException(event.reason, { source: 'unhandledrejection' })
   
   // Prevent the default behavior (logging to console)
   event.preventDefault()
 })
 
-createRoot(document.getElementById('root')).render(
-  <App />
-)
+const root = createRoot(document.getElementById('root'))
+
+// /config.json must be applied before anything reads `config`, so App (and
+// everything it imports) is only loaded afterwards
+async function start() {
+  await initConfig()
+  initErrorReporting()
+  document.title = config.app.name
+  const { default: App } = await import('./App.jsx')
+  root.render(<App />)
+}
+
+start().catch((error) => {
+  console.error('Startup failed:', error)
+  // The config may be unusable, so the report stays queued unless
+  // initConfig() itself succeeded
+  captureException(error, { source: 'startup' })
+  root.render(<BootError error={error} />)
+})
@@ -0,0 +1,209 @@
+import { AxiosError, AxiosHeaders, CanceledError } from "axios";
+
+import { config as appConfig } from "../lib/config";
+
+import { routes as defaultRoutes } from "./handlers";
+import { MockResponse, xanoError } from "./responses";
+
+/**
+ * Mock axios adapter
+ * Features: Route handlers with `:param` paths, simulated latency and upload
+ * progress, Xano-shaped errors, abort support, fully offline
+ *
+ * The adapter replaces the network layer only - interceptors, token refresh,
+ * error normalization and toasts run exactly as they do against Xano.
+ */
+
+const STATUS_TEXT = {
+  200: "OK",
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+};
+
+/**
+ * Compile "/user/:id" into a matcher returning `{ id }` or null
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = path.replace(/:([A-Za-z_]+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (pathname) => {
+    const match = pathname.match(regex);
+    return match
+      ? Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]))
+      : null;
+  };
+}
+
+/**
+ * Path and query of a request, relative to the API base URL
+ */
+function parseUrl(config) {
+  let url = config.url ?? "";
+  if (config.baseURL && url.startsWith(config.baseURL)) {
+    url = url.slice(config.baseURL.length);
+  }
+
+  const { pathname, searchParams } = new URL(url, "http://mock.local");
+  return {
+    pathname,
+    query: { ...Object.fromEntries(searchParams), ...config.params },
+  };
+}
+
+function parseBody(data) {
+  if (typeof data !== "string") return data ?? {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Wait for the simulated latency (±50% jitter), rejecting when aborted
+ */
+function simulateLatency(ms, signal, onTick) {
+  const duration = Math.round(ms * (0.5 + Math.random()));
+
+  return new Promise((resolve, reject) => {
+    const steps = 5;
+    let step = 0;
+    const interval = setInterval(() => {
+      step += 1;
+      onTick?.(step / steps);
+      if (step >= steps) {
+        clearInterval(interval);
+        resolve();
+      }
+    }, duration / steps);
+
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearInterval(interval);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Total size of the files in a multipart body (for upload progress)
+ */
+function getUploadSize(data) {
+  if (!(data instanceof FormData)) return 0;
+  return [...data.values()].reduce((total, value) => total + (value instanceof Blob ? value.size : 0), 0);
+}
+
+/**
+ * Create an axios adapter backed by route handlers
+ * @param {object} [options]
+ * @param {Array} [options.routes] - Route list (defaults to ./handlers)
+ * @param {number} [options.latency] - Average latency in ms (defaults to VITE_MOCK_LATENCY_MS)
+ */
+export function createMockAdapter({
+  routes = defaultRoutes,
+  latency = appConfig.api.mockLatency,
+} = {}) {
+  const compiled = routes.map((route) => ({ ...route, match: compilePath(route.path) }));
+
+  return async function mockAdapter(config) {
+    const method = (config.method ?? "get").toLowerCase();
+    const { pathname, query } = parseUrl(config);
+    const uploadSize = getUploadSize(config.data);
+
+    const cancel = () => new CanceledError(null, config);
+    if (config.signal?.aborted) throw cancel();
+
+    try {
+      await simulateLatency(latency, config.signal, (fraction) => {
+        if (uploadSize && config.onUploadProgress) {
+          config.onUploadProgress({ loaded: uploadSize * fraction, total: uploadSize, progress: fraction });
+        }
+      });
+    } catch {
+      throw cancel();
+    }
+
+    let route = null;
+    let params = null;
+    for (const candidate of compiled) {
+      params = candidate.method === method ? candidate.match(pathname) : null;
+      if (params) {
+        route = candidate;
+        break;
+      }
+    }
+
+    let result;
+    try {
+      result = route
+        ? await route.handler({
+            method,
+            path: pathname,
+            params,
+            query,
+            body: parseBody(config.data),
+            headers: AxiosHeaders.from(config.headers).toJSON(),
+          })
+        : xanoError(404, "Unable to locate request.");
+    } catch (error) {
+      if (!(error instanceof MockResponse)) {
+        console.error(`🧪 [MOCK] ${method.toUpperCase()} ${pathname} handler failed:`, error);
+      }
+      result = error instanceof MockResponse ? error : xanoError(500, error.message);
+    }
+
+    const { status, data, headers } =
+      result instanceof MockResponse ? result : new MockResponse(200, result);
+
+    // Serialized like a real response body - axios parses it back, and
+    // callers never share objects with the mock database
+    let body = data instanceof Blob ? data : JSON.stringify(data);
+    if (config.responseType === "blob" && !(body instanceof Blob)) {
+      body = new Blob([body], { type: "application/json" });
+    }
+    const isBlob = body instanceof Blob;
+
+    const response = {
+      data: body,
+      status,
+      statusText: STATUS_TEXT[status] ?? "",
+      headers: new AxiosHeaders({
+        "content-type": isBlob ? body.type : "application/json",
+        ...headers,
+      }),
+      config,
+      request: { responseURL: pathname },
+    };
+
+    if (isBlob && config.onDownloadProgress) {
+      config.onDownloadProgress({ loaded: body.size, total: body.size, progress: 1 });
+    }
+
+    // Same rule as axios' settle(): no validateStatus accepts every status
+    if (!config.validateStatus || config.validateStatus(status)) return response;
+
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+}
+
+export const mockAdapter = createMockAdapter();
+
+export default mockAdapter;
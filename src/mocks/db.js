@@ -0,0 +1,64 @@
+import projects from "./fixtures/projects.json";
+import users from "./fixtures/users.json";
+
+/**
+ * Mock database
+ * Features: Fixture-seeded collections, localStorage persistence, reset
+ *
+ * Changes (registrations, profile edits, new records) survive page reloads so
+ * sessions stay valid; `resetMockDb()` restores the fixtures.
+ */
+
+const STORAGE_KEY = "mock-db";
+
+function seed() {
+  return {
+    users: structuredClone(users),
+    projects: structuredClone(projects),
+    // refresh token → user id
+    refreshTokens: {},
+    // password reset token → user id
+    resetTokens: {},
+  };
+}
+
+function load() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? { ...seed(), ...stored } : seed();
+  } catch {
+    return seed();
+  }
+}
+
+let db = load();
+
+/**
+ * Current collections - mutate them, then call saveMockDb()
+ */
+export function getMockDb() {
+  return db;
+}
+
+export function saveMockDb() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+  } catch {
+    // Storage full or unavailable - keep working in memory
+  }
+}
+
+/**
+ * Throw away every change and start again from the fixtures
+ */
+export function resetMockDb() {
+  db = seed();
+  saveMockDb();
+}
+
+/**
+ * Next auto-increment id for a collection
+ */
+export function nextId(collection) {
+  return Math.max(0, ...db[collection].map((record) => record.id)) + 1;
+}
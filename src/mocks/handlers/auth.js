@@ -0,0 +1,168 @@
+import { getMockDb, nextId, saveMockDb } from "../db";
+import { createSession, requireUser, toPublicUser, xanoError } from "../responses";
+
+/**
+ * Mock Xano auth endpoints
+ * Mirrors the endpoints used by src/services/authProviders/xanoProvider.js
+ */
+
+const MIN_PASSWORD_LENGTH = 6;
+
+function findUserByEmail(email) {
+  const normalized = String(email ?? "").trim().toLowerCase();
+  return getMockDb().users.find((user) => user.email.toLowerCase() === normalized);
+}
+
+export const authRoutes = [
+  {
+    method: "post",
+    path: "/auth/login",
+    handler: ({ body }) => {
+      if (!body.email || !body.password) {
+        throw xanoError(400, "Email and password are required.", {
+          param: body.email ? "password" : "email",
+        });
+      }
+
+      const user = findUserByEmail(body.email);
+      if (!user || user.password !== body.password) {
+        // Xano answers failed logins with 403, not 401
+        throw xanoError(403, "Invalid email or password.");
+      }
+
+      return createSession(user);
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/signup",
+    handler: ({ body }) => {
+      if (findUserByEmail(body.email)) {
+        throw xanoError(400, "An account with this email already exists.", { param: "email" });
+      }
+      if (String(body.password ?? "").length < MIN_PASSWORD_LENGTH) {
+        throw xanoError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`, {
+          param: "password",
+        });
+      }
+
+      const db = getMockDb();
+      const user = {
+        id: nextId("users"),
+        name: body.name,
+        email: String(body.email).trim(),
+        password: body.password,
+        role: "user",
+        phone: null,
+        bio: "",
+        avatar: null,
+        created_at: Date.now(),
+        preferences: { theme: "light", notifications: true, language: "en" },
+      };
+      db.users.push(user);
+      saveMockDb();
+
+      return createSession(user);
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/logout",
+    handler: () => ({ success: true }),
+  },
+  {
+    method: "post",
+    path: "/auth/refresh",
+    handler: ({ body }) => {
+      const db = getMockDb();
+      const userId = db.refreshTokens[body.refresh_token];
+      const user = db.users.find((record) => record.id === userId);
+
+      if (!user) throw xanoError(401, "Invalid refresh token.");
+
+      // Rotation - every refresh token works exactly once
+      delete db.refreshTokens[body.refresh_token];
+      return createSession(user);
+    },
+  },
+  {
+    method: "get",
+    path: "/auth/me",
+    handler: (request) => toPublicUser(requireUser(request)),
+  },
+  {
+    method: "patch",
+    path: "/auth/profile",
+    handler: (request) => {
+      const user = requireUser(request);
+      const { body } = request;
+
+      if (body.email && body.email !== user.email && findUserByEmail(body.email)) {
+        throw xanoError(400, "This email is already in use.", { param: "email" });
+      }
+
+      ["name", "email", "phone", "bio", "avatar", "preferences"].forEach((field) => {
+        if (body[field] !== undefined) user[field] = body[field];
+      });
+      saveMockDb();
+
+      return toPublicUser(user);
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/change-password",
+    handler: (request) => {
+      const user = requireUser(request);
+      const { currentPassword, newPassword } = request.body;
+
+      if (currentPassword !== user.password) {
+        throw xanoError(400, "Current password is incorrect.", { param: "currentPassword" });
+      }
+      if (String(newPassword ?? "").length < MIN_PASSWORD_LENGTH) {
+        throw xanoError(400, `New password must be at least ${MIN_PASSWORD_LENGTH} characters.`, {
+          param: "newPassword",
+        });
+      }
+
+      user.password = newPassword;
+      saveMockDb();
+      return { success: true, message: "Password changed successfully" };
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/forgot-password",
+    handler: ({ body }) => {
+      const user = findUserByEmail(body.email);
+
+      // Same answer for unknown emails - never reveal which accounts exist
+      if (user) {
+        const db = getMockDb();
+        const token = `mock_reset_${Math.random().toString(36).slice(2)}`;
+        db.resetTokens[token] = user.id;
+        saveMockDb();
+        // No email offline - the link goes to the console instead
+        console.info(`📧 [MOCK] Password reset link: ${window.location.origin}/reset-password?token=${token}`);
+      }
+
+      return { success: true };
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/reset-password",
+    handler: ({ body }) => {
+      const db = getMockDb();
+      const user = db.users.find((record) => record.id === db.resetTokens[body.token]);
+
+      // ?token=expired (or any unknown token) shows the invalid link state
+      if (!user) throw xanoError(400, "Reset token is invalid or has expired.");
+
+      user.password = body.newPassword;
+      delete db.resetTokens[body.token];
+      saveMockDb();
+      return { success: true };
+    },
+  },
+];
@@ -0,0 +1,18 @@
+import featureFlags from "../fixtures/featureFlags.json";
+import { requireUser } from "../responses";
+
+/**
+ * Mock feature flag endpoint - every flag record, evaluated by the client
+ * (see src/lib/featureFlags)
+ */
+
+export const featureFlagRoutes = [
+  {
+    method: "get",
+    path: "/feature_flag",
+    handler: (request) => {
+      requireUser(request);
+      return featureFlags;
+    },
+  },
+];
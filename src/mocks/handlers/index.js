@@ -0,0 +1,18 @@
+import { authRoutes } from "./auth";
+import { featureFlagRoutes } from "./featureFlags";
+import { projectRoutes } from "./projects";
+import { uploadRoutes } from "./uploads";
+import { userRoutes } from "./users";
+
+/**
+ * Every mock route, matched in order (specific paths before `:param` paths)
+ * A route is `{ method, path, handler(request) }`; handlers return the response
+ * body, or return/throw a MockResponse for other statuses.
+ */
+export const routes = [
+  ...authRoutes,
+  ...userRoutes,
+  ...projectRoutes,
+  ...uploadRoutes,
+  ...featureFlagRoutes,
+];
@@ -0,0 +1,121 @@
+import { getMockDb, nextId, saveMockDb } from "../db";
+import { MockResponse, queryRecords, requireUser, xanoError } from "../responses";
+
+/**
+ * Mock project endpoints - a generic CRUD resource for list and form screens
+ */
+
+const EDITABLE_FIELDS = ["name", "status", "owner_id", "budget", "progress"];
+const STATUSES = ["active", "planning", "on_hold", "completed"];
+
+function findProject(id) {
+  const project = getMockDb().projects.find((record) => record.id === Number(id));
+  if (!project) throw xanoError(404, "Project not found.");
+  return project;
+}
+
+function validateProject(body, { partial = false } = {}) {
+  if ((!partial || body.name !== undefined) && !String(body.name ?? "").trim()) {
+    throw xanoError(400, "Name is required.", { param: "name" });
+  }
+  if (body.status !== undefined && !STATUSES.includes(body.status)) {
+    throw xanoError(400, `Status must be one of: ${STATUSES.join(", ")}.`, { param: "status" });
+  }
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function toCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const projectRoutes = [
+  {
+    method: "get",
+    path: "/project",
+    handler: (request) => {
+      requireUser(request);
+      return queryRecords(getMockDb().projects, request.query);
+    },
+  },
+  {
+    // CSV export with a Content-Disposition filename (see downloadFile)
+    method: "get",
+    path: "/project/export",
+    handler: (request) => {
+      requireUser(request);
+      const columns = ["id", ...EDITABLE_FIELDS, "created_at"];
+      const rows = getMockDb().projects.map((project) =>
+        columns.map((column) => toCsvCell(project[column])).join(",")
+      );
+      const csv = [columns.join(","), ...rows].join("\n");
+
+      return new MockResponse(200, new Blob([csv], { type: "text/csv" }), {
+        "content-type": "text/csv",
+        "content-disposition": `attachment; filename="projects-${new Date().toISOString().slice(0, 10)}.csv"`,
+      });
+    },
+  },
+  {
+    method: "get",
+    path: "/project/:id",
+    handler: (request) => {
+      requireUser(request);
+      return findProject(request.params.id);
+    },
+  },
+  {
+    method: "post",
+    path: "/project",
+    handler: (request) => {
+      requireUser(request);
+      validateProject(request.body);
+
+      const project = {
+        id: nextId("projects"),
+        status: "planning",
+        progress: 0,
+        budget: 0,
+        owner_id: null,
+        ...pickEditable(request.body),
+        created_at: Date.now(),
+      };
+      getMockDb().projects.push(project);
+      saveMockDb();
+      return project;
+    },
+  },
+  {
+    method: "patch",
+    path: "/project/:id",
+    handler: (request) => {
+      requireUser(request);
+      validateProject(request.body, { partial: true });
+
+      const project = findProject(request.params.id);
+      Object.assign(project, pickEditable(request.body));
+      saveMockDb();
+      return project;
+    },
+  },
+  {
+    method: "delete",
+    path: "/project/:id",
+    handler: (request) => {
+      requireUser(request);
+      const project = findProject(request.params.id);
+      const db = getMockDb();
+      db.projects = db.projects.filter((record) => record !== project);
+      saveMockDb();
+      return null;
+    },
+  },
+];
@@ -0,0 +1,80 @@
+import { requireUser, xanoError } from "../responses";
+
+/**
+ * Mock file upload endpoints
+ * Files stay in the browser: the returned `url` is an object URL.
+ */
+
+// upload_id → bytes received so far (chunked uploads)
+const chunkedUploads = new Map();
+
+function getFileType(mime = "") {
+  if (mime.startsWith("image/")) return "image";
+  if (mime.startsWith("video/")) return "video";
+  if (mime.startsWith("audio/")) return "audio";
+  return "attachment";
+}
+
+/**
+ * Xano file resource for a stored file
+ */
+function toFileResource({ name, mime, size, blob }) {
+  const id = Math.random().toString(36).slice(2, 10);
+  return {
+    access: "public",
+    path: `/vault/mock/${id}/${name}`,
+    name,
+    type: getFileType(mime),
+    size,
+    mime,
+    meta: {},
+    url: blob ? URL.createObjectURL(blob) : null,
+  };
+}
+
+export const uploadRoutes = [
+  {
+    method: "post",
+    path: "/upload",
+    handler: (request) => {
+      requireUser(request);
+      const file = request.body?.get?.("file");
+      if (!(file instanceof Blob)) {
+        throw xanoError(400, "A file is required.", { param: "file" });
+      }
+
+      return toFileResource({ name: file.name, mime: file.type, size: file.size, blob: file });
+    },
+  },
+  {
+    method: "post",
+    path: "/upload/chunk",
+    handler: (request) => {
+      requireUser(request);
+      const form = request.body;
+      const chunk = form?.get?.("chunk");
+      const uploadId = form?.get?.("upload_id");
+      const chunkIndex = Number(form?.get?.("chunk_index"));
+      const chunkCount = Number(form?.get?.("chunk_count"));
+
+      if (!(chunk instanceof Blob) || !uploadId) {
+        throw xanoError(400, "Chunk and upload_id are required.", { param: "chunk" });
+      }
+
+      const received = (chunkedUploads.get(uploadId) ?? 0) + chunk.size;
+      chunkedUploads.set(uploadId, received);
+
+      if (chunkIndex < chunkCount - 1) {
+        return { upload_id: uploadId, received };
+      }
+
+      chunkedUploads.delete(uploadId);
+      // The assembled file is not kept, so there is no object URL
+      return toFileResource({
+        name: form.get("file_name"),
+        mime: form.get("mime"),
+        size: received,
+      });
+    },
+  },
+];
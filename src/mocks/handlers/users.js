@@ -0,0 +1,34 @@
+import { getMockDb } from "../db";
+import { queryRecords, requireAdmin, requireUser, toPublicUser, xanoError } from "../responses";
+
+/**
+ * Mock user endpoints
+ * Listing users needs the admin role (PERMISSIONS.USERS_VIEW)
+ */
+
+export const userRoutes = [
+  {
+    method: "get",
+    path: "/user",
+    handler: (request) => {
+      requireAdmin(request);
+      return queryRecords(getMockDb().users.map(toPublicUser), request.query);
+    },
+  },
+  {
+    method: "get",
+    path: "/user/:id",
+    handler: (request) => {
+      const currentUser = requireUser(request);
+      const id = Number(request.params.id);
+
+      if (currentUser.role !== "admin" && currentUser.id !== id) {
+        throw xanoError(403, "You do not have access to this resource.");
+      }
+
+      const user = getMockDb().users.find((record) => record.id === id);
+      if (!user) throw xanoError(404, "User not found.");
+      return toPublicUser(user);
+    },
+  },
+];
@@ -0,0 +1,178 @@
+import { XANO_STATUS_CODES } from "../lib/errors";
+import { createUnsignedToken, decodeToken, isTokenExpired } from "../lib/jwt";
+
+import { getMockDb, saveMockDb } from "./db";
+
+/**
+ * Mock response helpers
+ * Features: Xano-shaped errors and paging, mock sessions, `external` query support
+ */
+
+const TOKEN_LIFETIME = 60 * 60; // 1 hour in seconds
+
+/**
+ * Non-200 response - returned or thrown by handlers
+ */
+export class MockResponse {
+  constructor(status, data = null, headers = {}) {
+    this.status = status;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Xano error body: `{ code, message, payload }`
+ * Pass `param` to mark the input field the error belongs to.
+ */
+export function xanoError(status, message, { param, code, headers } = {}) {
+  return new MockResponse(
+    status,
+    {
+      code: code ?? XANO_STATUS_CODES[status] ?? XANO_STATUS_CODES[500],
+      message,
+      payload: param ? { param } : "",
+    },
+    headers
+  );
+}
+
+/**
+ * User record without the password
+ * `createdAt` / `lastLogin` are ISO strings for the profile pages.
+ */
+export function toPublicUser(user) {
+  const publicUser = { ...user };
+  delete publicUser.password;
+  return {
+    ...publicUser,
+    createdAt: new Date(user.created_at).toISOString(),
+    lastLogin: user.lastLogin ?? null,
+  };
+}
+
+/**
+ * Issue an access token (unsigned JWT with `exp`) and a rotating refresh token
+ */
+export function createSession(user) {
+  const db = getMockDb();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const refreshToken = `mock_refresh_${user.id}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+  db.refreshTokens[refreshToken] = user.id;
+  user.lastLogin = new Date().toISOString();
+  saveMockDb();
+
+  return {
+    authToken: createUnsignedToken({ sub: user.id, iat: issuedAt, exp: issuedAt + TOKEN_LIFETIME }),
+    refresh_token: refreshToken,
+  };
+}
+
+/**
+ * The user owning the request's bearer token - throws a 401 otherwise
+ */
+export function requireUser(request) {
+  const token = request.headers.Authorization?.replace(/^Bearer\s+/i, "");
+  const claims = decodeToken(token);
+
+  if (!claims || isTokenExpired(token)) {
+    throw xanoError(401, "Invalid token.");
+  }
+
+  const user = getMockDb().users.find((record) => record.id === claims.sub);
+  if (!user) throw xanoError(401, "Invalid token.");
+
+  return user;
+}
+
+/**
+ * Admin-only endpoints
+ */
+export function requireAdmin(request) {
+  const user = requireUser(request);
+  if (user.role !== "admin") {
+    throw xanoError(403, "You do not have access to this resource.");
+  }
+  return user;
+}
+
+/**
+ * Xano paging envelope for one page of records
+ */
+export function paginate(records, { page = 1, perPage = 25 } = {}) {
+  const itemsTotal = records.length;
+  const pageTotal = Math.max(1, Math.ceil(itemsTotal / perPage));
+  const offset = (page - 1) * perPage;
+  const items = records.slice(offset, offset + perPage);
+
+  return {
+    items,
+    itemsReceived: items.length,
+    curPage: page,
+    nextPage: page < pageTotal ? page + 1 : null,
+    prevPage: page > 1 ? page - 1 : null,
+    offset,
+    itemsTotal,
+    pageTotal,
+  };
+}
+
+const COMPARATORS = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  in: (a, b) => [].concat(b).includes(a),
+  "not in": (a, b) => ![].concat(b).includes(a),
+  includes: (a, b) => String(a ?? "").toLowerCase().includes(String(b).toLowerCase()),
+  "not includes": (a, b) => !String(a ?? "").toLowerCase().includes(String(b).toLowerCase()),
+};
+
+/**
+ * Evaluate a Xano `expression` list against a record (see src/lib/queryBuilder.js)
+ */
+function matchesExpression(record, expression = []) {
+  return expression.reduce((result, entry, index) => {
+    const matches =
+      entry.type === "group"
+        ? matchesExpression(record, entry.group?.expression)
+        : (() => {
+            const { left, op, right } = entry.statement;
+            // Column operands may be table-qualified ("user.name")
+            const value = record[left.operand.split(".").pop()];
+            return COMPARATORS[op]?.(value, right.operand) ?? true;
+          })();
+
+    if (index === 0) return matches;
+    return entry.or ? result || matches : result && matches;
+  }, true);
+}
+
+/**
+ * Filter, sort and page records from a list request
+ * Supports Xano's `external` input as well as plain `page` / `per_page` params.
+ */
+export function queryRecords(records, params = {}) {
+  let external = {};
+  try {
+    external = typeof params.external === "string" ? JSON.parse(params.external) : (params.external ?? {});
+  } catch {
+    throw xanoError(400, "Invalid external parameter.", { param: "external" });
+  }
+
+  let results = records.filter((record) => matchesExpression(record, external.expression));
+
+  (external.sort ?? []).slice().reverse().forEach(({ sortBy, orderBy }) => {
+    const field = sortBy.split(".").pop();
+    const direction = orderBy === "desc" ? -1 : 1;
+    results = results.slice().sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * direction);
+  });
+
+  return paginate(results, {
+    page: Number(external.page ?? params.page) || 1,
+    perPage: Number(external.per_page ?? params.per_page) || 25,
+  });
+}
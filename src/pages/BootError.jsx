@@ -0,0 +1,60 @@
+import { AlertTriangle, RefreshCw } from "lucide-react";
+
+import { ConfigError } from "../lib/config";
+
+/**
+ * Boot error screen - the app could not start
+ * Features: Friendly message, invalid setting list for config errors, reload
+ *
+ * Rendered by main.jsx instead of App, so it must not rely on the router,
+ * React Query or anything else App sets up.
+ */
+
+export function BootError({ error }) {
+  const isConfigError = error instanceof ConfigError;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white shadow-lg rounded-lg p-6 text-center">
+        <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-red-100 mb-4">
+          <AlertTriangle className="h-6 w-6 text-red-600" />
+        </div>
+
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">
+          The app could not start
+        </h1>
+        <p className="text-gray-600 mb-6">
+          {isConfigError
+            ? "This deployment is not configured correctly. If the problem persists, please contact the site administrator."
+            : "Something went wrong while loading. Please check your connection and try again."}
+        </p>
+
+        {isConfigError && (
+          <div className="mb-6 rounded-md bg-gray-50 border border-gray-200 p-3 text-left">
+            <p className="text-sm font-medium text-gray-800">{error.message}</p>
+            {error.issues.length > 0 && (
+              <ul className="mt-2 space-y-1 text-xs text-gray-700">
+                {error.issues.map((issue) => (
+                  <li key={`${issue.path}-${issue.message}`}>
+                    <code className="font-mono text-red-700">{issue.path}</code>:{" "}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={() => window.location.reload()}
+          className="w-full flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Reload Page
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BootError;
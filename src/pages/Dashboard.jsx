@@ -1,6 +1,8 @@
 import { BarChart3, Users, DollarSign, Activity } from "lucide-react";
 import { useUser } from "../hooks/useAuth";
 import { LoadingSpinner } from "../components/ui/LoadingSpinner";
+import { Feature } from "../components/features";
+import { FEATURES } from "../lib/featureFlags";
 
 /**
  * Dashboard page - main authenticated view
@@ -123,20 +125,24 @@ export function Dashboard() {
                 Start a new project or initiative
               </div>
             </button>
-            <button className="w-full text-left px-4 py-3 bg-gray-50 rounded-md hover:bg-gray-100 transition-colors">
-              <div className="font-medium text-gray-900">
-                Invite Team Members
-              </div>
-              <div className="text-sm text-gray-600">
-                Add new users to your workspace
-              </div>
-            </button>
-            <button className="w-full text-left px-4 py-3 bg-gray-50 rounded-md hover:bg-gray-100 transition-colors">
-              <div className="font-medium text-gray-900">View Reports</div>
-              <div className="text-sm text-gray-600">
-                Access detailed analytics and insights
-              </div>
-            </button>
+            <Feature name={FEATURES.TEAM_INVITES}>
+              <button className="w-full text-left px-4 py-3 bg-gray-50 rounded-md hover:bg-gray-100 transition-colors">
+                <div className="font-medium text-gray-900">
+                  Invite Team Members
+                </div>
+                <div className="text-sm text-gray-600">
+                  Add new users to your workspace
+                </div>
+              </button>
+            </Feature>
+            <Feature name={FEATURES.REPORTS}>
+              <button className="w-full text-left px-4 py-3 bg-gray-50 rounded-md hover:bg-gray-100 transition-colors">
+                <div className="font-medium text-gray-900">View Reports</div>
+                <div className="text-sm text-gray-600">
+                  Access detailed analytics and insights
+                </div>
+              </button>
+            </Feature>
           </div>
         </div>
 
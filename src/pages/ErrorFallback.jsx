@@ -1,14 +1,18 @@
 import { AlertTriangle, RefreshCw, Home, Bug } from "lucide-react";
 import { useState } from "react";
 import { config } from "../lib/config";
+import { ResponseSchemaError } from "../lib/errors";
 
 /**
  * Error fallback component for error boundaries
- * Features: User-friendly error display, retry actions, debug details
+ * Features: User-friendly error display, retry actions, debug details,
+ * schema drift reports (endpoint and failing fields)
  */
 
 export function ErrorFallback({ error, resetErrorBoundary }) {
   const [showDetails, setShowDetails] = useState(false);
+  // The API sent data in a shape the app does not expect (see lib/responseValidation)
+  const isSchemaError = error instanceof ResponseSchemaError;
 
   const handleGoHome = () => {
     window.location.href = "/";
@@ -32,8 +36,9 @@ export function ErrorFallback({ error, resetErrorBoundary }) {
             Oops! Something went wrong
           </h1>
           <p className="text-gray-600 mb-6">
-            We're sorry, but something unexpected happened. Please try
-            refreshing the page or go back to the homepage.
+            {isSchemaError
+              ? "The server sent data this page doesn't understand. This usually means the app and its API are out of sync - please try again later."
+              : "We're sorry, but something unexpected happened. Please try refreshing the page or go back to the homepage."}
           </p>
 
           {/* Action Buttons */}
@@ -84,6 +89,16 @@ export function ErrorFallback({ error, resetErrorBoundary }) {
                   <div className="text-red-600 font-mono whitespace-pre-wrap break-all">
                     {error?.message}
                   </div>
+                  {isSchemaError && (
+                    <ul className="mt-2 space-y-1 font-mono text-gray-700">
+                      {error.issues.map((issue) => (
+                        <li key={`${issue.path}:${issue.message}`}>
+                          <span className="font-semibold">{issue.path}</span>:{" "}
+                          {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                   {error?.stack && (
                     <details className="mt-2">
                       <summary className="cursor-pointer text-gray-600 hover:text-gray-800">
@@ -0,0 +1,55 @@
+import { Home, ShieldAlert, User } from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
+
+import { usePermissions } from "../hooks/usePermissions";
+import { PERMISSIONS } from "../lib/permissions";
+
+/**
+ * 403 page - shown when a signed-in user lacks the role or permission for a route
+ */
+
+// Where to send the user instead - the first page they may view is offered
+const FALLBACK_LINKS = [
+  { to: "/", label: "Back to dashboard", icon: Home, permission: PERMISSIONS.DASHBOARD_VIEW },
+  { to: "/profile", label: "Go to your profile", icon: User, permission: PERMISSIONS.PROFILE_VIEW },
+];
+
+export function Forbidden() {
+  const location = useLocation();
+  const { hasPermission } = usePermissions();
+
+  // Rendered in place of the forbidden route, so never link back to it
+  const fallback = FALLBACK_LINKS.find(
+    (link) => link.to !== location.pathname && hasPermission(link.permission)
+  );
+  return (
+    <div className="flex items-center justify-center py-16 px-4">
+      <div className="max-w-md w-full bg-white shadow-lg rounded-lg p-6 text-center">
+        <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-yellow-100 mb-4">
+          <ShieldAlert className="h-6 w-6 text-yellow-600" />
+        </div>
+
+        <p className="text-sm font-medium text-gray-500">Error 403</p>
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">
+          Access denied
+        </h1>
+        <p className="text-gray-600 mb-6">
+          You don't have permission to view this page. If you think this is a
+          mistake, ask an administrator for access.
+        </p>
+
+        {fallback && (
+          <Link
+            to={fallback.to}
+            className="w-full flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            <fallback.icon className="h-4 w-4 mr-2" />
+            {fallback.label}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Forbidden;
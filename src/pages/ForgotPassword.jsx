@@ -0,0 +1,150 @@
+import { zodResolver } from "@hookform/resolvers/zod";
+import { ArrowLeft, KeyRound, MailCheck } from "lucide-react";
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+
+import { ApiButton } from "../components/ui/ApiButton";
+import RequestStatusDisplay from "../components/ui/RequestStatusDisplay";
+import { useRequestPasswordReset } from "../hooks/useAuth";
+import { cn } from "../lib/utils";
+import { forgotPasswordSchema } from "../lib/validation";
+
+/**
+ * Forgot password page - sends the password reset email
+ * Features: Zod validation, non-enumerating confirmation
+ */
+
+/**
+ * Statuses that only reveal whether an account exists.
+ * They get the same confirmation as a success so emails cannot be probed.
+ */
+const NON_ENUMERATING_STATUSES = [400, 404, 422];
+
+export function ForgotPassword() {
+  const resetRequest = useRequestPasswordReset();
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+    mode: "onBlur",
+  });
+
+  const onSubmit = ({ email }) => {
+    resetRequest.mutate(email);
+  };
+
+  const isConfirmed =
+    resetRequest.isSuccess ||
+    NON_ENUMERATING_STATUSES.includes(resetRequest.error?.status);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {isConfirmed ? (
+          /* Confirmation */
+          <div className="text-center">
+            <div className="mx-auto h-12 w-12 bg-green-600 rounded-full flex items-center justify-center">
+              <MailCheck className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-3xl font-bold text-gray-900">
+              Check your email
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              If an account exists for{" "}
+              <span className="font-medium text-gray-900">
+                {getValues("email")}
+              </span>
+              , you will receive a link to reset your password shortly.
+            </p>
+            <p className="mt-4 text-sm text-gray-600">
+              Didn't get it? Check your spam folder or{" "}
+              <button
+                type="button"
+                onClick={() => resetRequest.reset()}
+                className="text-blue-600 hover:text-blue-500"
+              >
+                try again
+              </button>
+              .
+            </p>
+          </div>
+        ) : (
+          <>
+            {/* Header */}
+            <div className="text-center">
+              <div className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center">
+                <KeyRound className="h-6 w-6 text-white" />
+              </div>
+              <h2 className="mt-6 text-3xl font-bold text-gray-900">
+                Forgot your password?
+              </h2>
+              <p className="mt-2 text-sm text-gray-600">
+                Enter your email and we'll send you a link to reset it.
+              </p>
+            </div>
+
+            {/* Request Form */}
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label
+                  htmlFor="email"
+                  className="block text-sm font-medium text-gray-700"
+                >
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="email"
+                  {...register("email")}
+                  className={cn(
+                    "mt-1 block w-full px-3 py-2 border rounded-md shadow-sm placeholder-gray-400",
+                    "focus:outline-none focus:ring-blue-500 focus:border-blue-500",
+                    errors.email
+                      ? "border-red-300 text-red-900 placeholder-red-300"
+                      : "border-gray-300"
+                  )}
+                  placeholder="Enter your email"
+                />
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {errors.email.message}
+                  </p>
+                )}
+              </div>
+
+              {/* Request Status - only errors that reveal nothing about the account */}
+              <RequestStatusDisplay mutation={resetRequest} showSuccess={false} />
+
+              <ApiButton
+                mutation={resetRequest}
+                type="submit"
+                loadingText="Sending..."
+                className="w-full"
+                disabled={isSubmitting}
+              >
+                Send reset link
+              </ApiButton>
+            </form>
+          </>
+        )}
+
+        <div className="text-center text-sm">
+          <Link
+            to="/login"
+            className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-500"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
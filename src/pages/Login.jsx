@@ -1,11 +1,12 @@
 import { useState } from "react";
-import { Link } from "react-router-dom";
-import { Eye, EyeOff, LogIn } from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
+import { CheckCircle, Eye, EyeOff, LogIn } from "lucide-react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { useLogin } from "../hooks/useAuth";
 import RequestStatusDisplay from "../components/ui/RequestStatusDisplay";
 import { ApiButton } from "../components/ui/ApiButton";
+import { EnvironmentSwitcher } from "../components/dev/EnvironmentSwitcher";
 import { cn } from "../lib/utils";
 import { config } from "../lib/config";
 import { loginSchema } from "../lib/validation";
@@ -17,6 +18,9 @@ import { loginSchema } from "../lib/validation";
 
 export function Login() {
   const [showPassword, setShowPassword] = useState(false);
+  const location = useLocation();
+  // Message handed over by other flows, e.g. a successful password reset
+  const flashMessage = location.state?.message;
 
   const loginMutation = useLogin();
 
@@ -47,8 +51,17 @@ export function Login() {
           <p className="mt-2 text-sm text-gray-600">
             Welcome back! Please enter your credentials.
           </p>
+          <EnvironmentSwitcher className="mt-4 inline-flex" />
         </div>
 
+        {/* Flash Message */}
+        {flashMessage && (
+          <div className="flex items-start gap-2 rounded-md bg-green-50 border border-green-200 p-3 text-sm text-green-800">
+            <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>{flashMessage}</span>
+          </div>
+        )}
+
         {/* Login Form */}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="space-y-4">
@@ -157,28 +170,28 @@ export function Login() {
           </div>
         </form>
 
-        {/* Demo Credentials (Development Only) */}
-        {config.isDevelopment && (
+        {/* Demo Credentials (Mock API Only) */}
+        {config.api.mock && (
           <div className="mt-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
             <h4 className="text-sm font-medium text-yellow-800 mb-2">
               🎭 Demo Mode Active
             </h4>
             <div className="text-xs text-yellow-700 space-y-1">
               <p>
-                <strong>Demo credentials (only these work):</strong>
+                <strong>Demo accounts (password <code>123456</code>):</strong>
               </p>
               <p>
-                Email: <code>user@test.com</code>
+                Admin: <code>admin@test.com</code>
               </p>
               <p>
-                Password: <code>123456</code>
+                User: <code>user@test.com</code>
               </p>
               <p className="text-yellow-600 mt-2">
-                ⚠️ Using demo authentication - no real API calls are made
+                ⚠️ Requests are answered by the in-browser mock API
               </p>
               <p className="text-yellow-600">
-                To enable real authentication, uncomment API calls in
-                authService.js
+                To use your Xano backend, set VITE_API_MOCK=false in your
+                .env file
               </p>
             </div>
           </div>
@@ -0,0 +1,236 @@
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Eye, EyeOff, UserPlus } from "lucide-react";
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+
+import { ApiButton } from "../components/ui/ApiButton";
+import RequestStatusDisplay from "../components/ui/RequestStatusDisplay";
+import { useRegister } from "../hooks/useAuth";
+import { applyFieldErrors } from "../lib/errors";
+import { cn } from "../lib/utils";
+import { registerSchema } from "../lib/validation";
+
+/**
+ * Registration page with account details and terms acceptance
+ * Features: Zod validation, React Hook Form, server-side field errors
+ */
+
+const FORM_FIELDS = ["name", "email", "password", "confirmPassword"];
+
+const inputClassName = (hasError) =>
+  cn(
+    "mt-1 block w-full px-3 py-2 border rounded-md shadow-sm placeholder-gray-400",
+    "focus:outline-none focus:ring-blue-500 focus:border-blue-500",
+    hasError ? "border-red-300 text-red-900 placeholder-red-300" : "border-gray-300"
+  );
+
+export function Register() {
+  const [showPassword, setShowPassword] = useState(false);
+
+  const registerMutation = useRegister();
+
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(registerSchema),
+    mode: "onBlur",
+    defaultValues: { acceptTerms: false },
+  });
+
+  const onSubmit = (data) => {
+    // confirmPassword and acceptTerms are client-side only
+    const userData = {
+      name: data.name,
+      email: data.email,
+      password: data.password,
+    };
+
+    registerMutation.mutate(userData, {
+      onError: (error) => {
+        // Map server-side validation (e.g. "email already taken") onto the form
+        applyFieldErrors(error, setError, { fields: FORM_FIELDS });
+      },
+    });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center">
+            <UserPlus className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Create your account
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Already have an account?{" "}
+            <Link to="/login" className="text-blue-600 hover:text-blue-500">
+              Sign in
+            </Link>
+          </p>
+        </div>
+
+        {/* Registration Form */}
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+          <div className="space-y-4">
+            {/* Name Field */}
+            <div>
+              <label
+                htmlFor="name"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Full name
+              </label>
+              <input
+                id="name"
+                type="text"
+                autoComplete="name"
+                {...register("name")}
+                className={inputClassName(errors.name)}
+                placeholder="Enter your name"
+              />
+              {errors.name && (
+                <p className="mt-1 text-sm text-red-600">
+                  {errors.name.message}
+                </p>
+              )}
+            </div>
+
+            {/* Email Field */}
+            <div>
+              <label
+                htmlFor="email"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Email address
+              </label>
+              <input
+                id="email"
+                type="email"
+                autoComplete="email"
+                {...register("email")}
+                className={inputClassName(errors.email)}
+                placeholder="Enter your email"
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">
+                  {errors.email.message}
+                </p>
+              )}
+            </div>
+
+            {/* Password Field */}
+            <div>
+              <label
+                htmlFor="password"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Password
+              </label>
+              <div className="relative">
+                <input
+                  id="password"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  {...register("password")}
+                  className={cn(inputClassName(errors.password), "pr-10")}
+                  placeholder="Create a password"
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                >
+                  {showPassword ? (
+                    <EyeOff className="h-4 w-4 text-gray-400" />
+                  ) : (
+                    <Eye className="h-4 w-4 text-gray-400" />
+                  )}
+                </button>
+              </div>
+              {errors.password ? (
+                <p className="mt-1 text-sm text-red-600">
+                  {errors.password.message}
+                </p>
+              ) : (
+                <p className="mt-1 text-xs text-gray-500">
+                  At least 8 characters with uppercase, lowercase and a number.
+                </p>
+              )}
+            </div>
+
+            {/* Confirm Password Field */}
+            <div>
+              <label
+                htmlFor="confirmPassword"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Confirm password
+              </label>
+              <input
+                id="confirmPassword"
+                type={showPassword ? "text" : "password"}
+                autoComplete="new-password"
+                {...register("confirmPassword")}
+                className={inputClassName(errors.confirmPassword)}
+                placeholder="Repeat your password"
+              />
+              {errors.confirmPassword && (
+                <p className="mt-1 text-sm text-red-600">
+                  {errors.confirmPassword.message}
+                </p>
+              )}
+            </div>
+
+            {/* Terms Acceptance */}
+            <div>
+              <div className="flex items-start gap-2">
+                <input
+                  id="acceptTerms"
+                  type="checkbox"
+                  {...register("acceptTerms")}
+                  className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <label htmlFor="acceptTerms" className="text-sm text-gray-700">
+                  I agree to the Terms of Service and Privacy Policy
+                </label>
+              </div>
+              {errors.acceptTerms && (
+                <p className="mt-1 text-sm text-red-600">
+                  {errors.acceptTerms.message}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Registration Status */}
+          <RequestStatusDisplay
+            mutation={registerMutation}
+            successMessage="Account created! Redirecting..."
+          />
+
+          {/* Submit Button */}
+          <div>
+            <ApiButton
+              mutation={registerMutation}
+              type="submit"
+              loadingText="Creating account..."
+              className="w-full"
+              disabled={isSubmitting}
+            >
+              Create account
+            </ApiButton>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Register;
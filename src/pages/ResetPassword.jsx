@@ -0,0 +1,221 @@
+import { zodResolver } from "@hookform/resolvers/zod";
+import { AlertTriangle, Eye, EyeOff, KeyRound } from "lucide-react";
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link, useSearchParams } from "react-router-dom";
+
+import { ApiButton } from "../components/ui/ApiButton";
+import RequestStatusDisplay from "../components/ui/RequestStatusDisplay";
+import { useResetPassword } from "../hooks/useAuth";
+import { applyFieldErrors } from "../lib/errors";
+import { cn } from "../lib/utils";
+import { resetPasswordSchema } from "../lib/validation";
+
+/**
+ * Reset password page - sets a new password from an emailed `?token=` link
+ * Features: passwordSchema validation, invalid/expired token handling
+ */
+
+/**
+ * Statuses returned when the reset token is missing, invalid or expired
+ * A 400 only counts when it is about the token (see isInvalidTokenError).
+ */
+const INVALID_TOKEN_STATUSES = [401, 403, 404, 410];
+
+// Form fields server-side validation can target (the API calls it newPassword)
+const FORM_FIELDS = ["password"];
+const FIELD_ALIASES = { newPassword: "password" };
+
+/**
+ * Whether a reset failed because of the link rather than the new password
+ * Xano reports both as 400 input errors - a rejected token names the `token`
+ * param, or has no field errors and mentions the token in its message.
+ */
+function isInvalidTokenError(error) {
+  if (!error) return false;
+  if (error.status !== 400) return INVALID_TOKEN_STATUSES.includes(error.status);
+
+  const fieldErrors = error.fieldErrors ?? {};
+  if (Object.hasOwn(fieldErrors, "token")) return true;
+  return Object.keys(fieldErrors).length === 0 && /token/i.test(error.message ?? "");
+}
+
+const inputClassName = (hasError) =>
+  cn(
+    "mt-1 block w-full px-3 py-2 pr-10 border rounded-md shadow-sm placeholder-gray-400",
+    "focus:outline-none focus:ring-blue-500 focus:border-blue-500",
+    hasError ? "border-red-300 text-red-900 placeholder-red-300" : "border-gray-300"
+  );
+
+/**
+ * Shown when the link has no token or the server rejected it
+ */
+function InvalidResetLink() {
+  return (
+    <div className="text-center">
+      <div className="mx-auto h-12 w-12 bg-red-100 rounded-full flex items-center justify-center">
+        <AlertTriangle className="h-6 w-6 text-red-600" />
+      </div>
+      <h2 className="mt-6 text-3xl font-bold text-gray-900">
+        Link invalid or expired
+      </h2>
+      <p className="mt-2 text-sm text-gray-600">
+        This password reset link is no longer valid. Reset links expire after
+        a short time and can only be used once.
+      </p>
+      <Link
+        to="/forgot-password"
+        className="mt-6 inline-block px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+      >
+        Request a new link
+      </Link>
+    </div>
+  );
+}
+
+export function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [showPassword, setShowPassword] = useState(false);
+
+  const resetMutation = useResetPassword();
+
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+    mode: "onBlur",
+  });
+
+  const onSubmit = ({ password }) => {
+    resetMutation.mutate(
+      { token, newPassword: password },
+      {
+        onError: (error) => {
+          // Password rules enforced by the server show up on the form
+          if (!isInvalidTokenError(error)) {
+            applyFieldErrors(error, setError, {
+              fields: FORM_FIELDS,
+              aliases: FIELD_ALIASES,
+            });
+          }
+        },
+      }
+    );
+  };
+
+  const isInvalidToken = !token || isInvalidTokenError(resetMutation.error);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {isInvalidToken ? (
+          <InvalidResetLink />
+        ) : (
+          <>
+            {/* Header */}
+            <div className="text-center">
+              <div className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center">
+                <KeyRound className="h-6 w-6 text-white" />
+              </div>
+              <h2 className="mt-6 text-3xl font-bold text-gray-900">
+                Choose a new password
+              </h2>
+              <p className="mt-2 text-sm text-gray-600">
+                At least 8 characters with uppercase, lowercase and a number.
+              </p>
+            </div>
+
+            {/* Reset Form */}
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div className="space-y-4">
+                {/* New Password Field */}
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    New password
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      {...register("password")}
+                      className={inputClassName(errors.password)}
+                      placeholder="Enter a new password"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-4 w-4 text-gray-400" />
+                      ) : (
+                        <Eye className="h-4 w-4 text-gray-400" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {errors.password.message}
+                    </p>
+                  )}
+                </div>
+
+                {/* Confirm Password Field */}
+                <div>
+                  <label
+                    htmlFor="confirmPassword"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Confirm new password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="new-password"
+                    {...register("confirmPassword")}
+                    className={inputClassName(errors.confirmPassword)}
+                    placeholder="Repeat the new password"
+                  />
+                  {errors.confirmPassword && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {errors.confirmPassword.message}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {/* Reset Status */}
+              <RequestStatusDisplay mutation={resetMutation} showSuccess={false} />
+
+              <ApiButton
+                mutation={resetMutation}
+                type="submit"
+                loadingText="Resetting password..."
+                className="w-full"
+                disabled={isSubmitting}
+              >
+                Reset password
+              </ApiButton>
+            </form>
+          </>
+        )}
+
+        <div className="text-center text-sm">
+          <Link to="/login" className="text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
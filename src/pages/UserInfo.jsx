@@ -14,6 +14,7 @@ import {
   HelpCircle,
   LogOut,
 } from "lucide-react";
+import { useMutation } from "@tanstack/react-query";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import {
@@ -27,6 +28,8 @@ import { ApiButton } from "../components/ui/ApiButton";
 import { LoadingSpinner } from "../components/ui/LoadingSpinner";
 import { cn } from "../lib/utils";
 import { config } from "../lib/config";
+import { getApi } from "../lib/axios";
+import { applyFieldErrors } from "../lib/errors";
 import { profileSchema, passwordChangeSchema } from "../lib/validation";
 import toast from "react-hot-toast";
 import {
@@ -84,6 +87,40 @@ import {
  * - Environment configuration display
  */
 
+/**
+ * One-off faults for the Error Simulation panel (see ../lib/faultInjection)
+ * For faults on every request, use the floating fault injection panel.
+ */
+const SIMULATED_LATENCY = { type: "latency", latencyMs: 2000 };
+
+// Same endpoints as the auth service
+const authApi = getApi("auth");
+
+const ERROR_SIMULATIONS = {
+  network: () => authApi.get("/auth/me", { fault: [SIMULATED_LATENCY, { type: "drop" }] }),
+  server: () =>
+    authApi.get("/auth/me", { fault: [SIMULATED_LATENCY, { type: "status", status: 500 }] }),
+  validation: () =>
+    authApi.patch(
+      "/auth/profile",
+      {},
+      {
+        fault: [
+          SIMULATED_LATENCY,
+          {
+            type: "status",
+            status: 400,
+            data: {
+              code: "ERROR_CODE_INPUT_ERROR",
+              message: "Email is already taken",
+              payload: { param: "email" },
+            },
+          },
+        ],
+      }
+    ),
+};
+
 export function UserInfo() {
   const { data: user, isLoading, error } = useUser();
   const updateProfileMutation = useUpdateProfile();
@@ -96,9 +133,17 @@ export function UserInfo() {
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
 
-  // Error simulation for showcasing RequestStatusDisplay
-  const [simulatedError, setSimulatedError] = useState(null);
-  const [isSimulatingError, setIsSimulatingError] = useState(false);
+  // Error simulation for showcasing RequestStatusDisplay - real requests that
+  // fail on purpose, so interceptors, error normalization and toasts all run
+  const errorSimulation = useMutation({
+    mutationFn: (kind) => ERROR_SIMULATIONS[kind](),
+    onError: (error) => {
+      // Field errors land on the profile form, just like a real failed update
+      applyFieldErrors(error, setProfileError, { shouldFocus: false });
+    },
+  });
+  const simulatedError = errorSimulation.error;
+  const isSimulatingError = errorSimulation.isPending;
 
   // Profile form with React Hook Form + Zod validation
   const {
@@ -107,6 +152,7 @@ export function UserInfo() {
     formState: { errors: profileErrors, isSubmitting: isProfileSubmitting },
     reset: resetProfile,
     setValue: setProfileValue,
+    setError: setProfileError,
   } = useForm({
     resolver: zodResolver(profileSchema),
     mode: "onBlur",
@@ -119,6 +165,7 @@ export function UserInfo() {
     formState: { errors: passwordErrors, isSubmitting: isPasswordSubmitting },
     reset: resetPassword,
     watch: watchPassword,
+    setError: setPasswordError,
   } = useForm({
     resolver: zodResolver(passwordChangeSchema),
     mode: "onBlur",
@@ -139,6 +186,9 @@ export function UserInfo() {
       onSuccess: () => {
         setIsEditing(false);
       },
+      onError: (error) => {
+        applyFieldErrors(error, setProfileError);
+      },
     });
   };
 
@@ -152,6 +202,12 @@ export function UserInfo() {
         onSuccess: () => {
           resetPassword();
         },
+        onError: (error) => {
+          // Only fields that exist on this form can show an error
+          applyFieldErrors(error, setPasswordError, {
+            fields: ["currentPassword", "newPassword"],
+          });
+        },
       }
     );
   };
@@ -167,67 +223,6 @@ export function UserInfo() {
     }
   };
 
-  // Error simulation functions for showcasing RequestStatusDisplay
-  const simulateNetworkError = () => {
-    setIsSimulatingError(true);
-    setSimulatedError(null);
-
-    setTimeout(() => {
-      setSimulatedError({
-        message: "Network Error",
-        status: 0,
-        statusText: "Network Error",
-        data: {
-          message:
-            "Failed to connect to server. Please check your internet connection.",
-        },
-      });
-      setIsSimulatingError(false);
-    }, 2000);
-  };
-
-  const simulateServerError = () => {
-    setIsSimulatingError(true);
-    setSimulatedError(null);
-
-    setTimeout(() => {
-      setSimulatedError({
-        message: "Internal Server Error",
-        status: 500,
-        statusText: "Internal Server Error",
-        data: {
-          message: "Something went wrong on our end. Please try again later.",
-        },
-      });
-      setIsSimulatingError(false);
-    }, 2000);
-  };
-
-  const simulateValidationError = () => {
-    setIsSimulatingError(true);
-    setSimulatedError(null);
-
-    setTimeout(() => {
-      setSimulatedError({
-        message: "Validation Error",
-        status: 400,
-        statusText: "Bad Request",
-        data: {
-          message: "Invalid input data",
-          errors: {
-            email: "Email is already taken",
-            name: "Name must be at least 2 characters",
-          },
-        },
-      });
-      setIsSimulatingError(false);
-    }, 2000);
-  };
-
-  const clearSimulatedError = () => {
-    setSimulatedError(null);
-  };
-
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -325,27 +320,27 @@ export function UserInfo() {
             </Tooltip>
           </h3>
           <p className="text-xs text-yellow-700 mb-3">
-            Test different error scenarios to see RequestStatusDisplay in
-            action:
+            Each button sends a real request that fails on purpose. Use the
+            floating Faults panel to break any endpoint:
           </p>
 
           <div className="flex flex-wrap gap-2">
             <button
-              onClick={simulateNetworkError}
+              onClick={() => errorSimulation.mutate("network")}
               disabled={isSimulatingError}
               className="px-3 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200 disabled:opacity-50"
             >
               {isSimulatingError ? "Simulating..." : "Network Error"}
             </button>
             <button
-              onClick={simulateServerError}
+              onClick={() => errorSimulation.mutate("server")}
               disabled={isSimulatingError}
               className="px-3 py-1 text-xs bg-orange-100 text-orange-700 rounded hover:bg-orange-200 disabled:opacity-50"
             >
               {isSimulatingError ? "Simulating..." : "Server Error (500)"}
             </button>
             <button
-              onClick={simulateValidationError}
+              onClick={() => errorSimulation.mutate("validation")}
               disabled={isSimulatingError}
               className="px-3 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200 disabled:opacity-50"
             >
@@ -353,7 +348,7 @@ export function UserInfo() {
             </button>
             {simulatedError && (
               <button
-                onClick={clearSimulatedError}
+                onClick={() => errorSimulation.reset()}
                 className="px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
               >
                 Clear Error
@@ -371,11 +366,7 @@ export function UserInfo() {
             Simulated Error Response
           </h3>
           <RequestStatusDisplay
-            mutation={{
-              error: simulatedError,
-              isPending: isSimulatingError,
-              isSuccess: false,
-            }}
+            mutation={errorSimulation}
             className="mb-4"
           />
           <div className="text-xs text-gray-500">
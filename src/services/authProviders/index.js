@@ -0,0 +1,44 @@
+import { config } from "../../lib/config";
+
+import { xanoProvider } from "./xanoProvider";
+
+/**
+ * Auth provider registry
+ * Selects the provider named by `config.auth.provider` (VITE_AUTH_PROVIDER)
+ * Demo data is served by the mock API adapter (src/mocks), not by a provider,
+ * so every provider is exercised through the real HTTP stack.
+ *
+ * Every provider implements the same interface:
+ * - login(email, password) => { token, refreshToken?, user }
+ * - logout()
+ * - refreshToken(refreshToken) => { token, refreshToken? }
+ * - getCurrentUser(requestConfig?) => user
+ * - updateProfile(profileData) => user
+ * - changePassword(currentPassword, newPassword)
+ * - requestPasswordReset(email)
+ * - resetPassword(token, newPassword)
+ * - register(userData) => { token, refreshToken?, user }
+ */
+
+export const authProviders = {
+  xano: xanoProvider,
+};
+
+/**
+ * Get the configured auth provider
+ */
+export function getAuthProvider() {
+  const provider = authProviders[config.auth.provider];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown auth provider "${config.auth.provider}". Expected one of: ${Object.keys(
+        authProviders
+      ).join(", ")}`
+    );
+  }
+
+  return provider;
+}
+
+export { xanoProvider };
@@ -0,0 +1,168 @@
+import { getApi } from "../../lib/axios";
+import { authTokenResponseSchema, userResponseSchema } from "../../lib/validation";
+
+/**
+ * Xano auth provider
+ * Features: Xano's built-in auth endpoints (/auth/login, /auth/me, /auth/signup)
+ *
+ * Xano's login and signup endpoints only return `{ authToken }`, so the user
+ * record is fetched from /auth/me with the freshly issued token.
+ *
+ * Auth forms show their errors inline (RequestStatusDisplay / field errors),
+ * so their requests are sent with `silent: true` to avoid duplicate toasts.
+ *
+ * Responses are checked against the schemas in lib/validation, so renamed
+ * Xano fields are reported with the endpoint and field (see lib/responseValidation).
+ *
+ * Requests go to the "auth" API group (VITE_API_AUTH_URL), which sends the
+ * token when there is one but does not require it.
+ *
+ * Refresh tokens are not built into Xano. To enable rotation, return a
+ * `refresh_token` from /auth/login and add a POST /auth/refresh endpoint that
+ * accepts `{ refresh_token }` and returns `{ authToken, refresh_token }`.
+ */
+
+const api = getApi("auth");
+
+// Errors are rendered inline by the form that made the request
+const INLINE_ERRORS = { silent: true };
+
+const TOKEN_RESPONSE = { responseSchema: authTokenResponseSchema };
+const USER_RESPONSE = { responseSchema: userResponseSchema };
+
+/**
+ * Fetch the user that owns the given token
+ */
+async function fetchUserForToken(authToken) {
+  const response = await api.get("/auth/me", {
+    ...USER_RESPONSE,
+    ...INLINE_ERRORS,
+    headers: { Authorization: `Bearer ${authToken}` },
+  });
+  return response.data;
+}
+
+/**
+ * Normalize a Xano auth response into `{ token, refreshToken }`
+ */
+function toTokens(data) {
+  return {
+    token: data.authToken ?? data.token,
+    refreshToken: data.refresh_token ?? data.refreshToken,
+  };
+}
+
+/**
+ * Normalize a Xano auth response into `{ token, refreshToken, user }`
+ */
+async function toSession(data) {
+  const tokens = toTokens(data);
+  const user = data.user ?? (await fetchUserForToken(tokens.token));
+  return { ...tokens, user };
+}
+
+export const xanoProvider = {
+  name: "xano",
+
+  /**
+   * Login with email and password
+   */
+  async login(email, password) {
+    const response = await api.post(
+      "/auth/login",
+      { email, password },
+      { ...INLINE_ERRORS, ...TOKEN_RESPONSE }
+    );
+    return toSession(response.data);
+  },
+
+  /**
+   * Logout - invalidates the token server-side if the endpoint exists
+   */
+  async logout() {
+    // Logout always succeeds client-side, so failures are not worth a toast
+    await api.post("/auth/logout", undefined, { silent: true });
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair
+   */
+  async refreshToken(refreshToken) {
+    const response = await api.post(
+      "/auth/refresh",
+      { refresh_token: refreshToken },
+      // Never try to refresh (or wait on a refresh) for the refresh call itself
+      { ...TOKEN_RESPONSE, skipAuthRefresh: true, silent: true }
+    );
+    return toTokens(response.data);
+  },
+
+  /**
+   * Get current user data
+   */
+  async getCurrentUser(requestConfig) {
+    const response = await api.get("/auth/me", { ...USER_RESPONSE, ...requestConfig });
+    return response.data;
+  },
+
+  /**
+   * Update user profile
+   */
+  async updateProfile(profileData) {
+    const response = await api.patch("/auth/profile", profileData, {
+      ...INLINE_ERRORS,
+      ...USER_RESPONSE,
+    });
+    return response.data;
+  },
+
+  /**
+   * Change password
+   */
+  async changePassword(currentPassword, newPassword) {
+    const response = await api.post(
+      "/auth/change-password",
+      { currentPassword, newPassword },
+      INLINE_ERRORS
+    );
+    return response.data;
+  },
+
+  /**
+   * Request password reset
+   */
+  async requestPasswordReset(email) {
+    // Silent also keeps a 404 toast from revealing whether the account exists
+    const response = await api.post(
+      "/auth/forgot-password",
+      { email },
+      INLINE_ERRORS
+    );
+    return response.data;
+  },
+
+  /**
+   * Reset password with token
+   */
+  async resetPassword(token, newPassword) {
+    const response = await api.post(
+      "/auth/reset-password",
+      { token, newPassword },
+      INLINE_ERRORS
+    );
+    return response.data;
+  },
+
+  /**
+   * Register new user account
+   */
+  async register(userData) {
+    const response = await api.post("/auth/signup", userData, {
+      ...INLINE_ERRORS,
+      ...TOKEN_RESPONSE,
+    });
+    return toSession(response.data);
+  },
+};
+
+export default xanoProvider;
@@ -1,78 +1,55 @@
-import { api } from "../lib/axios";
+import { refreshAccessToken, setRefreshHandler } from "../lib/axios";
 import { setCookie, deleteCookie, getCookie } from "../lib/cookies";
+import { recordActivity } from "../lib/idleTracker";
+import { getTokenExpiry as getJwtExpiry, isTokenExpired } from "../lib/jwt";
+import { SESSION_EVENTS, broadcastSessionEvent } from "../lib/sessionSync";
+
+import { getAuthProvider } from "./authProviders";
 
 /**
  * Authentication service with login/logout/user management
  * Features: JWT token management, user data fetching, auth utilities
  *
- * 🎭 DEMO MODE ACTIVE:
- * - All API calls are commented out and replaced with dummy data
- * - Any email/password combination will work for login
- * - Profile updates and password changes are simulated
- * - To enable real authentication, uncomment the API calls marked with "DEMO MODE"
+ * API calls are delegated to the auth provider selected by
+ * `config.auth.provider` (VITE_AUTH_PROVIDER, default "xano"). In demo mode
+ * the same provider talks to the mock API (VITE_API_MOCK, see src/mocks).
+ * Token storage stays here so every provider shares the same cookie handling.
  */
 
 /**
- * Login with email and password
+ * Store the tokens of a freshly issued session
+ * Providers that support rotation return a new refresh token every time
  */
-export async function login(email, password) {
-  console.log("🔐 [AUTH] Login started at:", new Date().toISOString());
-  console.log("🔐 [AUTH] Email:", email);
-
-  // ==================== DEMO MODE ====================
-  // Comment out for production - replace with real API call
-
-  // const response = await api.post('/auth/login', {
-  //   email,
-  //   password,
-  // })
-  // const { token, user } = response.data
-
-  // DUMMY DATA for development/demo
-  const dummyToken = "dummy_jwt_token_" + Date.now();
-  const dummyUser = {
-    id: 1,
-    name: "Test User",
-    email: "user@test.com",
-    role: "user",
-    phone: "+1 (555) 123-4567",
-    bio: "This is a demo user account for testing the React SPA template.",
-    avatar: null,
-    createdAt: "2024-01-01T00:00:00.000Z",
-    updatedAt: new Date().toISOString(),
-  };
-
-  console.log("🔐 [AUTH] Starting simulated delay...");
-  // Simulate API delay
-  await new Promise((resolve) => setTimeout(resolve, 1000));
-  console.log("🔐 [AUTH] Delay completed, starting validation...");
-
-  // Simulate login validation (only accept specific credentials for demo)
-  if (!email || !password) {
-    console.log("❌ [AUTH] Validation failed: Missing email or password");
-    throw new Error("Email and password are required");
+function storeTokens({ token, refreshToken }) {
+  if (token) {
+    setCookie("authToken", token);
   }
 
-  // Only allow specific demo credential
-  if (email !== "user@test.com" || password !== "123456") {
-    console.log("❌ [AUTH] Validation failed: Invalid credentials");
-    throw new Error("Invalid email or password");
+  if (refreshToken) {
+    setCookie("refreshToken", refreshToken);
   }
+}
 
-  console.log("✅ [AUTH] Validation passed, preparing response...");
-  const token = dummyToken;
-  const user = dummyUser;
+/**
+ * Login with email and password
+ */
+export async function login(email, password) {
+  console.log("🔐 [AUTH] Login started at:", new Date().toISOString());
+  console.log("🔐 [AUTH] Email:", email);
 
-  // ==================== END DEMO MODE ====================
+  const { token, refreshToken, user } = await getAuthProvider().login(
+    email,
+    password
+  );
 
   console.log("🍪 [AUTH] Setting cookie...");
-  // Store token in secure cookie
-  if (token) {
-    setCookie("authToken", token);
-  }
+  // Store tokens in secure cookies
+  storeTokens({ token, refreshToken });
+  // Fresh sessions start with a clean idle clock
+  recordActivity();
+  broadcastSessionEvent(SESSION_EVENTS.LOGIN, { userId: user?.id });
 
   console.log("🔐 [AUTH] Login completed at:", new Date().toISOString());
-  console.log("🔐 [AUTH] Total login time:", Date.now() - new Date().getTime());
   return { token, user };
 }
 
@@ -81,163 +58,107 @@ export async function login(email, password) {
  */
 export async function logout() {
   try {
-    // ==================== DEMO MODE ====================
-    // Comment out for production - replace with real API call
-
-    // await api.post('/auth/logout')
-
-    // DEMO: Just simulate a logout delay
-    await new Promise((resolve) => setTimeout(resolve, 300));
-    console.log("Demo logout - no server call made");
-
-    // ==================== END DEMO MODE ====================
+    await getAuthProvider().logout();
   } catch (error) {
     // Continue with client-side logout even if server call fails
     console.warn("Logout endpoint failed:", error);
   } finally {
     // Always clear client-side auth state
-    deleteCookie("authToken");
+    clearAuth();
+    broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
   }
 }
 
+/**
+ * Exchange the refresh token for a new access token
+ * Registered as the axios refresh handler, which guarantees a single call at a
+ * time - call renewSession() instead of this directly
+ */
+export async function refreshSession() {
+  const currentRefreshToken = getCookie("refreshToken");
+
+  if (!currentRefreshToken) {
+    throw new Error("No refresh token available");
+  }
+
+  const { token, refreshToken } = await getAuthProvider().refreshToken(
+    currentRefreshToken
+  );
+
+  if (!token) {
+    throw new Error("Refresh response did not include an access token");
+  }
+
+  storeTokens({ token, refreshToken });
+  broadcastSessionEvent(SESSION_EVENTS.TOKEN);
+  return token;
+}
+
+/**
+ * Renew the access token with the refresh token
+ * Shares a refresh that is already running, so rotated refresh tokens are
+ * never used twice
+ * @returns {Promise<string>} The new access token
+ */
+export function renewSession() {
+  return refreshAccessToken();
+}
+
 /**
  * Get current user data from API
+ * An expired access token is renewed first, so reloading a tab after expiry
+ * keeps the session as long as the refresh token is valid
+ * @param {object} [requestConfig] - Axios options (signal, toast options)
  */
-export async function getCurrentUser() {
-  // ==================== DEMO MODE ====================
-  // Comment out for production - replace with real API call
-
-  // const response = await api.get('/auth/me')
-  // return response.data
-
-  // DUMMY USER DATA for development/demo
-  const dummyUser = {
-    id: 1,
-    name: "Test User",
-    email: "user@test.com",
-    role: "admin",
-    phone: "+1 (555) 123-4567",
-    bio: "This is a demo user account for testing the React SPA template. You can edit this profile to test the update functionality.",
-    avatar: null,
-    createdAt: "2024-01-01T00:00:00.000Z",
-    updatedAt: new Date().toISOString(),
-    lastLogin: new Date().toISOString(),
-    preferences: {
-      theme: "light",
-      notifications: true,
-      language: "en",
-    },
-  };
-
-  // Simulate API delay
-  await new Promise((resolve) => setTimeout(resolve, 500));
-
-  return dummyUser;
-
-  // ==================== END DEMO MODE ====================
+export async function getCurrentUser(requestConfig) {
+  const token = getCookie("authToken");
+
+  if ((!token || isTokenExpired(token)) && hasRefreshToken()) {
+    try {
+      await renewSession();
+    } catch (error) {
+      // Rejected refresh token - the session is over; keep it on network errors
+      if (error?.status === 401 || error?.status === 403) clearAuth();
+      throw error;
+    }
+  }
+
+  return getAuthProvider().getCurrentUser(requestConfig);
 }
 
 /**
  * Refresh user profile data
  */
 export async function refreshUser() {
-  // ==================== DEMO MODE ====================
-  // Comment out for production - replace with real API call
-
-  // const response = await api.get('/auth/me')
-  // return response.data
-
-  // Use same dummy data as getCurrentUser
   return getCurrentUser();
-
-  // ==================== END DEMO MODE ====================
 }
 
 /**
  * Update user profile
  */
 export async function updateProfile(profileData) {
-  // ==================== DEMO MODE ====================
-  // Comment out for production - replace with real API call
-
-  // const response = await api.patch('/auth/profile', profileData)
-  // return response.data
-
-  // DEMO: Simulate successful profile update
-  await new Promise((resolve) => setTimeout(resolve, 800));
-
-  // Return updated user data (merge with existing dummy data)
-  const updatedUser = {
-    id: 1,
-    ...profileData,
-    role: "admin", // Keep role unchanged
-    createdAt: "2024-01-01T00:00:00.000Z",
-    updatedAt: new Date().toISOString(),
-    lastLogin: new Date().toISOString(),
-    preferences: {
-      theme: "light",
-      notifications: true,
-      language: "en",
-    },
-  };
-
-  console.log("Demo: Profile updated successfully", updatedUser);
-  return updatedUser;
-
-  // ==================== END DEMO MODE ====================
+  return getAuthProvider().updateProfile(profileData);
 }
 
 /**
  * Change password
  */
 export async function changePassword(currentPassword, newPassword) {
-  // ==================== DEMO MODE ====================
-  // Comment out for production - replace with real API call
-
-  // const response = await api.post('/auth/change-password', {
-  //   currentPassword,
-  //   newPassword,
-  // })
-  // return response.data
-
-  // DEMO: Simulate password change validation and success
-  await new Promise((resolve) => setTimeout(resolve, 1200));
-
-  // Basic validation simulation
-  if (!currentPassword || !newPassword) {
-    throw new Error("Current password and new password are required");
-  }
-
-  if (newPassword.length < 6) {
-    throw new Error("New password must be at least 6 characters");
-  }
-
-  console.log("Demo: Password changed successfully");
-  return {
-    message: "Password changed successfully",
-    success: true,
-  };
-
-  // ==================== END DEMO MODE ====================
+  return getAuthProvider().changePassword(currentPassword, newPassword);
 }
 
 /**
  * Request password reset
  */
 export async function requestPasswordReset(email) {
-  const response = await api.post("/auth/forgot-password", { email });
-  return response.data;
+  return getAuthProvider().requestPasswordReset(email);
 }
 
 /**
  * Reset password with token
  */
 export async function resetPassword(token, newPassword) {
-  const response = await api.post("/auth/reset-password", {
-    token,
-    newPassword,
-  });
-  return response.data;
+  return getAuthProvider().resetPassword(token, newPassword);
 }
 
 /**
@@ -245,10 +166,20 @@ export async function resetPassword(token, newPassword) {
  */
 
 /**
- * Check if user is authenticated (has valid token)
+ * Check if user is authenticated (has an unexpired token, or a refresh token
+ * to get a new one - see getCurrentUser)
+ * Tokens without a readable `exp` claim count until the server rejects them
  */
 export function isAuthenticated() {
-  return !!getCookie("authToken");
+  const token = getCookie("authToken");
+  return (!!token && !isTokenExpired(token)) || hasRefreshToken();
+}
+
+/**
+ * Check if the session can be renewed without logging in again
+ */
+export function hasRefreshToken() {
+  return !!getCookie("refreshToken");
 }
 
 /**
@@ -258,11 +189,20 @@ export function getToken() {
   return getCookie("authToken");
 }
 
+/**
+ * Get the stored token's expiry time
+ * @returns {number|null} Millisecond timestamp, or null if the token has no readable `exp`
+ */
+export function getTokenExpiry() {
+  return getJwtExpiry(getCookie("authToken"));
+}
+
 /**
  * Clear all authentication data
  */
 export function clearAuth() {
   deleteCookie("authToken");
+  deleteCookie("refreshToken");
   // Could also clear other user-related data if needed
 }
 
@@ -270,14 +210,14 @@ export function clearAuth() {
  * Register new user account
  */
 export async function register(userData) {
-  const response = await api.post("/auth/register", userData);
+  const { token, refreshToken, user } = await getAuthProvider().register(
+    userData
+  );
 
-  const { token, user } = response.data;
-
-  // Store token in secure cookie
-  if (token) {
-    setCookie("authToken", token);
-  }
+  // Store tokens in secure cookies
+  storeTokens({ token, refreshToken });
+  recordActivity();
+  broadcastSessionEvent(SESSION_EVENTS.LOGIN, { userId: user?.id });
 
   return { token, user };
 }
@@ -285,6 +225,8 @@ export async function register(userData) {
 export default {
   login,
   logout,
+  refreshSession,
+  renewSession,
   getCurrentUser,
   refreshUser,
   updateProfile,
@@ -293,6 +235,11 @@ export default {
   resetPassword,
   register,
   isAuthenticated,
+  hasRefreshToken,
   getToken,
+  getTokenExpiry,
   clearAuth,
 };
+
+// Let the HTTP client refresh expired tokens through the active provider
+setRefreshHandler(refreshSession);
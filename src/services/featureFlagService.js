@@ -0,0 +1,27 @@
+import { api } from "../lib/axios";
+import { featureFlagListResponseSchema } from "../lib/validation";
+
+/**
+ * Feature flag service
+ * Features: Flag records from Xano's GET /feature_flag (see lib/featureFlags)
+ *
+ * Flags only change what is shown, so failures are silent - every flag is off
+ * until the next successful fetch.
+ */
+
+/**
+ * Fetch every flag record of this tenant
+ * @param {object} [config] - Axios options (signal, ...)
+ */
+export async function getFeatureFlags(config = {}) {
+  const response = await api.get("/feature_flag", {
+    ...config,
+    silent: true,
+    responseSchema: featureFlagListResponseSchema,
+  });
+  return response.data;
+}
+
+export default {
+  getFeatureFlags,
+};
@@ -1,19 +1,67 @@
+import process from 'node:process'
+
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { createHtmlPlugin } from 'vite-plugin-html'
 
+// API origins the CSP allows. Deployments that set the API URL in
+// /config.json must list its origin in VITE_CSP_CONNECT_SRC at build time.
+const connectSrc = [
+  process.env.VITE_API_BASE_URL || 'https://api.example.com',
+  process.env.VITE_CSP_CONNECT_SRC,
+  process.env.VITE_ERROR_REPORTING_URL?.startsWith('http') && process.env.VITE_ERROR_REPORTING_URL,
+].filter(Boolean).join(' ')
+
+// Local stand-in for an error collector: `npm run dev` accepts reports at
+// /__error-reports and prints them in the terminal. Point
+// VITE_ERROR_REPORTING_URL at it to try the HTTP transport without a service.
+function errorReportStub() {
+  return {
+    name: 'error-report-stub',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__error-reports', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end()
+          return
+        }
+
+        let body = ''
+        req.on('data', (chunk) => {
+          body += chunk
+        })
+        req.on('end', () => {
+          try {
+            const report = JSON.parse(body)
+            server.config.logger.error(
+              `🚨 [${report.source}] ${report.name}: ${report.message} (${report.route}, user ${report.user?.id ?? '-'}, ${report.breadcrumbs?.length ?? 0} breadcrumbs)`,
+              { timestamp: true }
+            )
+            res.statusCode = 204
+          } catch {
+            res.statusCode = 400
+          }
+          res.end()
+        })
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(), 
     tailwindcss(),
+    errorReportStub(),
     createHtmlPlugin({
       inject: {
         data: {
           cspContent: process.env.NODE_ENV === 'production' 
-            ? `default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self' ${process.env.VITE_API_BASE_URL || 'https://api.example.com'}; font-src 'self' data:; frame-ancestors 'none'; base-uri 'self';`
-            : `default-src 'self'; script-src 'self' 'unsafe-inline' 'unsafe-eval'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self' ws: wss: ${process.env.VITE_API_BASE_URL || 'https://api.example.com'}; font-src 'self' data:; frame-ancestors 'none'; base-uri 'self';`
+            ? `default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self' ${connectSrc}; font-src 'self' data:; frame-ancestors 'none'; base-uri 'self';`
+            : `default-src 'self'; script-src 'self' 'unsafe-inline' 'unsafe-eval'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self' ws: wss: ${connectSrc}; font-src 'self' data:; frame-ancestors 'none'; base-uri 'self';`
         }
       }
     })